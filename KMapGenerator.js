@@ -7,6 +7,7 @@
  *
  * This module was created as a javascript web application to automatically generate K-Map exercices and their solutions.
  * It uses a method (pseudo-ESPRESSO) based on the ESPRESSO algorithm to calculate an optimal cover of the K-Map using n-cubes, and display the solution linked to said covering.
+ * An exact method (Quine-McCluskey followed by Petrick's method) is also available, to obtain a cover of provably minimal cost.
  * The application is meant to be used in conjunction with KarnaughMap.html, which provides an HTML layout to showcase the application.
  *
  * @module KMapGenerator
@@ -18,12 +19,16 @@
 
 /**
  * A class meant to represent a Karnaugh Map (KMap) through a matrix (array of arrays).
- * It also contains information about an optimal cover of said map, which is dynamically calculated every time it is modified.
+ * It also contains information about an optimal cover of said map, which is calculated again whenever it is needed after the map is modified.
  *
- * In addition, the class possesses the methods and static properties needed to calculate such a cover, and display the K-Map as an interactive HTML interface.
- * The cover is calculated using a pseudo-ESPRESSO method (based on the ESPRESSO algorithm).
+ * Each instance holds its own state, so that several K-Maps may exist at once. The class does not depend on the page:
+ * it can also be loaded from Node (require("./KMapGenerator.js").KMap) to fill and solve K-Maps from other scripts.
+ * The cover is calculated using a pseudo-ESPRESSO method (based on the ESPRESSO algorithm), or an exact method.
  *
  * @class KMap
+ * @constructor
+ * @param [nVar=4] {Integer} The number of logic variables for the map (2 to 8).
+ * @param [dontCare=false] {Boolean} Wether the map may have "don't care" symbols.
  */
 
 
@@ -36,50 +41,148 @@
  *
  * @property varNames
  * @type {Array}
- * @default ["A","B","C","D","E"]
+ * @default ["A","B","C","D","E","F","G","H"]
  */
-var varNames = new Array("A","B","C","D","E"); // Names used for each possible variable
+var varNames = new Array("A","B","C","D","E","F","G","H"); // Names used for each possible variable
+/**
+ * Names given by default to the output of a K-Map, the first one that is not the name of a variable being used (see defaultOutputName).
+ * The variable F only exists from 6 variables on, where the output is named Z instead.
+ *
+ * @property outputNames
+ * @type {Array}
+ * @default ["F","Z"]
+ */
+var outputNames = new Array("F","Z");
 /**
  * Number of "levels" of the K-Map for each numVar (KLvl[0] and KLvl[1] are unused).
- * There is only one level unless we use 5 variables. Then the K-Map becomes "3D", and there are two levels.
+ * There is only one level unless we use 5 variables or more. Then the K-Map becomes "3D", and is made of several 4x4 sub-maps (the levels).
  *
  * @property KLvl
  * @type {Array}
- * @default [0,1,1,1,1,2]
+ * @default [0,1,1,1,1,2,4,8,16]
+ */
+var KLvl = new Array(0,1,1,1,1,2,4,8,16);
+/**
+ * Sizes of the axes along which the levels of the K-Map are laid out, for each numVar.
+ * Each axis holds up to 2 level variables, in the same order of bits as the width and height (00, 01, 11, 10).
+ * Up to 6 variables, there is a single axis of levels. Beyond that, the levels form a grid of sub-maps.
+ *
+ * @property KLvlAxes
+ * @type {Array}
+ * @default [[1],[1],[1],[1],[1],[2],[4],[2,4],[4,4]]
  */
-var KLvl = new Array(0,1,1,1,1,2);
+var KLvlAxes = new Array([1],[1],[1],[1],[1],[2],[4],[2,4],[4,4]);
 /**
  * Width of the K-Map for each numVar (KWid[0] and KWid[1] are unused).
  *
  * @property KWid
  * @type {Array}
- * @default [0,2,2,4,4,4]
+ * @default [0,2,2,4,4,4,4,4,4]
  */
-var KWid  = new Array(0,2,2,4,4,4);
+var KWid  = new Array(0,2,2,4,4,4,4,4,4);
 /**
  * Height of K-Map for each numVar (KHei[0] and KHei[1] are unused).
  *
  * @property KHei
  * @type {Array}
- * @default [0,1,2,2,4,4]
+ * @default [0,1,2,2,4,4,4,4,4]
  */
-var KHei = new Array(0,1,2,2,4,4);
+var KHei = new Array(0,1,2,2,4,4,4,4,4);
 /**
  * Number of variables written horizontally for each numVar.
  *
  * @property KVarX
  * @type {Array}
- * @default [0,1,1,2,2,2]
+ * @default [0,1,1,2,2,2,2,2,2]
  */
-var KVarX  = new Array(0,1,1,2,2,2);
+var KVarX  = new Array(0,1,1,2,2,2,2,2,2);
 /**
  * Number of variables written vertically for each numVar
  *
  * @property KVarY
  * @type {Array}
- * @default [0,0,1,1,2,2]
+ * @default [0,0,1,1,2,2,2,2,2]
+ */
+var KVarY = new Array(0,0,1,1,2,2,2,2,2);
+/**
+ * The largest number of variables for which the K-Map is displayed as a grid.
+ * Larger K-Maps (up to 8 variables) can still be solved.
+ *
+ * @property maxGridVar
+ * @type {Integer}
+ * @default 6
+ */
+var maxGridVar = 6;
+/**
+ * The largest number of minimal covers kept by Petrick's method.
+ * Very symmetric functions may have a huge number of equally minimal covers.
+ *
+ * @property maxMinimalCovers
+ * @type {Integer}
+ * @default 100
+ */
+var maxMinimalCovers = 100;
+/**
+ * The largest number of steps taken by Petrick's method when listing the minimal covers, once the minimal cost is known.
+ *
+ * @property maxPetrickSteps
+ * @type {Integer}
+ * @default 3000
+ */
+var maxPetrickSteps = 3000;
+/**
+ * The largest number of steps taken by Petrick's method when searching for the minimal cost of a K-Map's cover (see ExactSolve),
+ * after which the cheapest cover found is used, so that solving large K-Maps never blocks the page for long.
+ * As for maxJointSteps, this is the number of steps for up to 256 prime implicants and 256 minterms to cover.
+ *
+ * @property maxExactSteps
+ * @type {Integer}
+ * @default 20000
+ */
+var maxExactSteps = 20000;
+/**
+ * The largest number of steps taken by Petrick's method when searching for the cheapest joint cover of several outputs (see MultiKMap.solve),
+ * after which the cheapest cover found is used, so that editing the outputs never blocks the page for long.
+ * Since each step costs more as Petrick's function grows, this is the number of steps for up to 256 candidate terms and 256 rows,
+ * and larger functions get proportionally fewer steps.
+ *
+ * @property maxJointSteps
+ * @type {Integer}
+ * @default 3000
+ */
+var maxJointSteps = 3000;
+/**
+ * The largest number of outputs (logic functions of the same variables) minimized together by a MultiKMap.
+ *
+ * @property maxOutputs
+ * @type {Integer}
+ * @default 8
  */
-var KVarY = new Array(0,0,1,1,2,2);
+var maxOutputs = 8;
+/**
+ * The largest number of edits of the page's K-Map that can be undone.
+ *
+ * @property maxUndoSteps
+ * @type {Integer}
+ * @default 100
+ */
+var maxUndoSteps = 100;
+/**
+ * The largest number of solutions kept in solutionCache.
+ *
+ * @property maxCachedSolutions
+ * @type {Integer}
+ * @default 1000
+ */
+var maxCachedSolutions = 1000;
+/**
+ * The largest number of differing minterms listed by the page's equivalence check (see generateEquivalenceHTML).
+ *
+ * @property maxListedDifferences
+ * @type {Integer}
+ * @default 16
+ */
+var maxListedDifferences = 16;
 /**
  * The order of bits as represented in a K-Map (00, 01, 11, 10).
  *
@@ -88,6 +191,28 @@ var KVarY = new Array(0,0,1,1,2,2);
  * @default [0,1,3,2,4,5,7,6]
  */
 var bitOrd = new Array(0,1,3,2,4,5,7,6);
+/**
+ * The difficulty levels of the generated exercises. For each level, seedTerms is the range of the number of random groups
+ * the map is built from, and accepts tells, from the features of its minimal cover (see getCoverFeatures), wether a map fits the level.
+ * Easy maps have few groups, none of them wrapping around the edges or spanning several levels.
+ * Medium maps have at least one such group. Hard maps have many groups, and either no essential prime implicant or several such groups.
+ *
+ * @property exerciseLevels
+ * @type {Object}
+ */
+var exerciseLevels = {
+    easy: {seedTerms: [1,3], accepts: function(f){ return f.terms >= 1 && f.terms <= 3 && f.wraps === 0 && f.crossLevel === 0 && !f.noEssential; }},
+    medium: {seedTerms: [2,4], accepts: function(f){ return f.terms >= 2 && f.terms <= 5 && f.wraps + f.crossLevel >= 1 && !f.noEssential; }},
+    hard: {seedTerms: [3,6], accepts: function(f){ return f.terms >= 3 && (f.noEssential || f.wraps + f.crossLevel >= 2); }}
+};
+/**
+ * The largest number of random maps tried when generating an exercise of a given difficulty.
+ *
+ * @property maxExerciseTries
+ * @type {Integer}
+ * @default 2000
+ */
+var maxExerciseTries = 2000;
 /**
  * A string specifying the name of the "normal" color for spaces in the K-Map.
  *
@@ -104,6 +229,77 @@ var normalColor = "white";			// 0xFFFFFF;
  * @default "yellow"
  */
 var selectColor = "yellow";			// 0xFFFF00;
+/**
+ * A string specifying the name of the color used for the spaces where two functions differ (see checkEquivalence).
+ *
+ * @property differenceColor
+ * @type {String}
+ * @default "tomato"
+ */
+var differenceColor = "tomato";		// 0xFF6347;
+/**
+ * The colors of the groups drawn in practice mode.
+ *
+ * @property groupColors
+ * @type {Array}
+ * @default ["lightcoral","lightgreen","lightblue","orange","plum","paleturquoise","khaki","silver"]
+ */
+var groupColors = new Array("lightcoral","lightgreen","lightblue","orange","plum","paleturquoise","khaki","silver");
+/**
+ * The LaTeX packages for which the K-Map's LaTeX code can be written (see generateLaTeXCode and writeDocHeader):
+ * askmaps, karnaugh-map (from CTAN), or plain TikZ.
+ *
+ * @property latexBackEnds
+ * @type {Array}
+ * @default ["askmaps","karnaugh-map","tikz"]
+ */
+var latexBackEnds = new Array("askmaps","karnaugh-map","tikz");
+/**
+ * The words that cannot be used as names in the Verilog and VHDL code (see getHDLNames): the keywords of both languages
+ * that could clash with the name of a variable, and the names used inside the testbenches.
+ *
+ * @property hdlReservedWords
+ * @type {Array}
+ */
+var hdlReservedWords = new Array("abs","all","and","architecture","assign","begin","body","buffer","bus","case","constant","else","end",
+    "entity","for","function","if","in","initial","inout","input","integer","is","library","loop","mod","module","nand","nor","not",
+    "of","or","out","output","port","process","reg","rem","signal","to","type","use","variable","wait","wire","xnor","xor",
+    "dut","expected","care","inputs","errors","m","std_logic","std_logic_vector","ieee","work","rtl","test");
+/**
+ * The colors of the n-cubes of the cover, in the LaTeX code (see writeNCubes and writeDocHeader) and in the images of the K-Map (see toSVG).
+ *
+ * @property cubeColors
+ * @type {Array}
+ * @default ["red","green","blue","yellow","cyan","magenta","darkred","darkgreen","darkblue","gray","orange","fuschia","azur","purple","aqua","lime"]
+ */
+var cubeColors = new Array("red","green","blue","yellow","cyan","magenta","darkred","darkgreen","darkblue","gray","orange","fuschia","azur","purple","aqua","lime");
+/**
+ * The RGB values of the colors of cubeColors, as defined in the LaTeX document's header (see writeDocHeader).
+ *
+ * @property cubeColorValues
+ * @type {Object}
+ */
+var cubeColorValues = {
+    red: "#FF0000", green: "#00FF00", blue: "#0000FF", darkred: "#800000", darkgreen: "#008000", darkblue: "#000080",
+    yellow: "#FFFF00", cyan: "#00FFFF", magenta: "#FF00FF", gray: "#808080", orange: "#FF8000", aqua: "#00FF80",
+    purple: "#8000FF", fuschia: "#FF0080", lime: "#80FF00", azur: "#0080FF"
+};
+/**
+ * The digits used to encode the values of the K-Map in a URL (see toURLHash), each one holding the values of 3 spaces.
+ *
+ * @property hashDigits
+ * @type {String}
+ * @default "ABC...xyz0123456789-_"
+ */
+var hashDigits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+/**
+ * The key under which the working collection of exercises is saved in the browser's local storage (see saveCollection).
+ *
+ * @property collectionStorageKey
+ * @type {String}
+ * @default "KMapGenerator.collection"
+ */
+var collectionStorageKey = "KMapGenerator.collection";
 
 
 //----------------------------------------------------------------------------------
@@ -118,7 +314,6 @@ var selectColor = "yellow";			// 0xFFFF00;
  * @type {Integer}
  * @default 4
  */
-var numVar = 4;
 /**
  * Wether the K-Map may have "don't care" symbols or not.
  *
@@ -126,15 +321,63 @@ var numVar = 4;
  * @type {Boolean}
  * @default false
  */
-var allowDC = false;
 /**
- * The content of the K-Map itself, as an array of arrays.
+ * The form of the solution: "SOP" (sum of products, grouping the 1 values)
+ * or "POS" (product of sums, grouping the 0 values).
+ *
+ * @property solutionForm
+ * @type {String}
+ * @default "SOP"
+ */
+/**
+ * The engine used to calculate the cover shown as the solution.
+ * Either "espresso" (the heuristic pseudo-ESPRESSO method) or "exact" (Quine-McCluskey followed by Petrick's method).
+ *
+ * @property solverEngine
+ * @type {String}
+ * @default "espresso"
+ */
+/**
+ * The LaTeX package the K-Map's LaTeX code is written for (one of latexBackEnds).
+ *
+ * @property latexBackEnd
+ * @type {String}
+ * @default "askmaps"
+ */
+/**
+ * The names of the logic variables of the K-Map (a copy of the default varNames).
+ *
+ * @property varNames
+ * @type {Array}
+ */
+/**
+ * The name of the K-Map's logic function, written before its variables (as in "F(A,B,C,D)").
+ * By default, it is F, or Z when F is the name of a variable (see defaultOutputName).
+ *
+ * @property outputName
+ * @type {String}
+ */
+/**
+ * The title of the K-Map, such as the name of an exercise, saved with it (see toJSON).
+ *
+ * @property title
+ * @type {String}
+ * @default ""
+ */
+/**
+ * Free notes about the K-Map, such as a hint for an exercise, saved with it (see toJSON).
+ *
+ * @property notes
+ * @type {String}
+ * @default ""
+ */
+/**
+ * The content of the K-Map itself, as an array of arrays, indexed by level, column and row (Map[d][w][h]).
  *
- * @property KMap
+ * @property Map
  * @type {Array}
  * @default []
  */
-var KMap = [];
 /**
  * The list of covered spaces in the K-Map, as an array of coordinates.
  *
@@ -142,7 +385,6 @@ var KMap = [];
  * @type {Array}
  * @default []
  */
-var coverList = [];
 /**
  * The list of n-cubes that form an optimal cover of the K-Map, as an array of arrays of coordinates.
  *
@@ -150,10 +392,142 @@ var coverList = [];
  * @type {Array}
  * @default []
  */
-var nCubeList = [];
+/**
+ * The costs of the covers found by both engines for the current state of the K-Map,
+ * as an object {espresso: {terms, literals}, exact: {terms, literals}}, the exact one being null until exactSolved.
+ *
+ * @property engineCosts
+ * @type {Object}
+ * @default null
+ */
+/**
+ * Wether the K-Map was also solved with the exact method, which is only used for the exact engine or when asked for (see updateExact),
+ * so that primeImplicants, essentialPrimes and minimalCovers are up to date. They are empty otherwise.
+ *
+ * @property exactSolved
+ * @type {Boolean}
+ * @default false
+ */
+/**
+ * The prime implicants of the K-Map (of its 0 values for a product of sums), as found by the exact method.
+ *
+ * @property primeImplicants
+ * @type {Array}
+ */
+/**
+ * The essential prime implicants of the K-Map, as indexes in primeImplicants.
+ *
+ * @property essentialPrimes
+ * @type {Array}
+ */
+/**
+ * Every minimal cover of the K-Map (up to maxMinimalCovers), each one as an array of indexes in primeImplicants.
+ *
+ * @property minimalCovers
+ * @type {Array}
+ */
+/**
+ * Wether the search for minimal covers was stopped before listing them all (see PetrickCovers), so that minimalCovers may be incomplete.
+ *
+ * @property coversTruncated
+ * @type {Boolean}
+ * @default false
+ */
+/**
+ * Wether the covers in minimalCovers are known to be minimal. They are not when the search for the minimal cost was stopped
+ * after maxExactSteps steps, minimalCovers then only holding the cheapest cover found.
+ *
+ * @property coversMinimal
+ * @type {Boolean}
+ * @default true
+ */
+/**
+ * The place in minimalCovers of the cover shown by the exact engine (see selectCover).
+ *
+ * @property selectedCover
+ * @type {Integer}
+ * @default 0
+ */
+/**
+ * Wether nCubeList and coverList are up to date with the values of the K-Map.
+ *
+ * @property solved
+ * @type {Boolean}
+ * @default false
+ */
+/**
+ * The steps of the pseudo-ESPRESSO algorithm for the current state of the K-Map, once recorded (see getEspressoSteps).
+ *
+ * @property espressoSteps
+ * @type {Array}
+ * @default null
+ */
+function KMap(nVar, dontCare){
+    this.allowDC = (dontCare === true);
+    this.solutionForm = "SOP";
+    this.solverEngine = "espresso";
+    this.latexBackEnd = "askmaps";
+    this.varNames = varNames.slice();
+    this.outputName = undefined; // Given by init (see defaultOutputName).
+    this.title = "";
+    this.notes = "";
+    this.init((nVar === undefined) ? 4 : nVar);
+}
 
 
-initKMap(numVar);
+/**
+ * A class meant to represent several logic functions of the same variables (the outputs of a circuit, such as a seven-segment decoder),
+ * each one with its own K-Map. The outputs are minimized jointly, so that a term can be shared by several of them (see solve).
+ * The K-Maps of the outputs always have the same number of variables, "don't care" setting and solution form.
+ *
+ * @class MultiKMap
+ * @constructor
+ * @param [nVar=4] {Integer} The number of logic variables for the maps (2 to 8).
+ * @param [dontCare=false] {Boolean} Wether the maps may have "don't care" symbols.
+ * @param [nOutputs=2] {Integer} The number of outputs (1 to maxOutputs), named F1, F2...
+ */
+/**
+ * The K-Maps of the outputs, each one named after its output (see outputName).
+ *
+ * @property maps
+ * @type {Array}
+ */
+/**
+ * The terms of the joint cover, as implicants {value, mask, outputs}, outputs being the indexes in maps of the outputs using the term.
+ * A term with more than one output is shared.
+ *
+ * @property terms
+ * @type {Array}
+ * @default []
+ */
+/**
+ * The cost of the joint cover, and the cost of the covers found when each output is minimized alone (counting once the terms they have in common),
+ * as an object {joint: {terms, literals}, separate: {terms, literals}}.
+ *
+ * @property costs
+ * @type {Object}
+ * @default null
+ */
+/**
+ * Wether the joint cover is known to be of minimal cost. It is not when the search was stopped after maxJointSteps steps:
+ * the cheapest cover found is then used, or the covers of the outputs minimized alone if they are cheaper.
+ *
+ * @property minimal
+ * @type {Boolean}
+ * @default true
+ */
+function MultiKMap(nVar, dontCare, nOutputs){
+    this.numVar = (nVar === undefined) ? 4 : nVar;
+    this.allowDC = (dontCare === true);
+    this.solutionForm = "SOP";
+    this.maps = [];
+    this.terms = [];
+    this.costs = null;
+    this.minimal = true;
+    this.solved = false;
+    if (nOutputs === undefined) nOutputs = 2;
+    for (var i=0; i<nOutputs; i++) this.addOutput();
+}
 
 
 //----------------------------------------------------------------------------------
@@ -193,275 +567,591 @@ function boolToBin (bool){
     else return "-";
 }
 
+/**
+* Writes a number followed by a word, in the plural if the number is not 1 (such as "1 term" or "3 terms").
+*
+* @method plural
+* @param n {Integer} The number.
+* @param word {String} The word, in the singular.
+* @return {String} The number and the word.
+*/
+function plural(n, word){
+    return n + " " + word + ((n == 1) ? "" : "s");
+}
 
-//----------------------------------------------------------------------------------
-//-----------------------------THE ESPRESSO ALGORITHM-------------------------------
-//----------------------------------------------------------------------------------
+/**
+* Checks that a name can be given to a variable or to an output: a letter followed by letters and digits, with an optional subscript
+* after an underscore (such as "X1", "Q_0" or "Cin"), so that it can be read back in expressions and written in HTML and LaTeX as is.
+* The names of the operators of expressions (and, or, xor, xnor, not) are not allowed.
+*
+* @method checkName
+* @param name {String} The name.
+* @param what {String} What is named, for the error messages (such as "Variable name 2").
+*/
+function checkName(name, what){
+    if (typeof name !== "string" || name === "") throw new SyntaxError(what + " cannot be empty.");
+    if (!/^[A-Za-z][A-Za-z0-9]*(_[A-Za-z0-9]+)?$/.test(name)){
+        throw new SyntaxError(what + " \"" + name + "\" must be a letter followed by letters and digits, with an optional subscript after an underscore (such as X1, Q_0 or Cin).");
+    }
+    if (["and", "or", "xor", "xnor", "not"].indexOf(name.toLowerCase()) != -1) throw new RangeError(what + " cannot be the operator \"" + name + "\".");
+}
 
+/**
+* Checks the names of the variables of a K-Map (see checkName), which must be distinct, and the name of its output, if given,
+* which must not be the name of a variable.
+*
+* @method checkNames
+* @param names {Array} The names of the variables.
+* @param [output] {String} The name of the output.
+*/
+function checkNames(names, output){
+    for (var i=0; i<names.length; i++){
+        checkName(names[i], "Variable name " + (i+1));
+        if (names.indexOf(names[i]) != i) throw new RangeError("Variable name \"" + names[i] + "\" is used twice.");
+    }
+    if (output === undefined) return;
+    checkName(output, "The output name");
+    if (names.indexOf(output) != -1) throw new RangeError("The output name \"" + output + "\" is also the name of a variable.");
+}
 
 /**
-* Checks wether a given n-cube can be accepted by the K-Map.
+* Returns the name given by default to the output of a K-Map: the first of outputNames that is not the name of a variable,
+* or else F1, F2... so that it never clashes with the variables.
 *
-* An n-cube is accepted only if it contains no 0 values, and it contains at least one 1 value.
-* Indeed, from the logic of favorising the largest possible n-cubes, it follows that a cube with
-* no 0 values is accepted, even if most other values are "don't cares", as long as it has a single
-* 1 value at least.
+* @method defaultOutputName
+* @param names {Array} The names of the variables.
+* @return {String} The default name of the output.
+*/
+function defaultOutputName(names){
+    for (var i=0; i<outputNames.length; i++){ if (names.indexOf(outputNames[i]) == -1) return outputNames[i]; }
+    for (var n=1; ; n++){ if (names.indexOf("F" + n) == -1) return "F" + n; }
+}
+
+/**
+* Writes the name of a variable or an output (see checkName) as plain text, in HTML or in LaTeX.
+* The part after an underscore, or else the digits ending the name, are written as a subscript: "X1" is written X<sub>1</sub> in HTML
+* and X_{1} in LaTeX, where names of several letters are set in \mathit so that they do not read as products.
 *
-* @method checkCube
-* @param coords {Array} An array containing the coordinates of the n-cube's first (top-left-front) space.
-* @param sizes {Array} An array containing the dimensions of the n-cube (in spaces).
-* @return {Bool} Wether the n-cube is accepted (contains no 0 values at least one 1 value).
-*/
-function checkCube(coords, sizes){
-    var no0val = true; // Remains true until a 0 value is found (we stop searching then).
-    var has1val = false; // Remains false until a 1 value is found.
-    for (var d=coords[2]; d<sizes[2]+coords[2] && no0val; d++){
-    for (var w=coords[0]; w<sizes[0]+coords[0] && no0val; w++){
-    for (var h=coords[1]; h<sizes[1]+coords[1] && no0val; h++){
-        no0val = no0val && KMap[d][w%KMap.Width][h%KMap.Height].Value;
-        has1val = has1val || KMap[d][w%KMap.Width][h%KMap.Height].Value == 1;
-    }}}
-    return (no0val && has1val);
+* @method formatName
+* @param name {String} The name.
+* @param format {String} "text", "html" or "latex".
+* @return {String} The formatted name.
+*/
+function formatName(name, format){
+    if (format == "text") return name;
+    var parts = /^([^_]+)_(.+)$/.exec(name) || /^(.*[A-Za-z])([0-9]+)$/.exec(name) || [name, name, ""];
+    if (format == "html") return escapeHTML(parts[1]) + ((parts[2] !== "") ? "<sub>" + escapeHTML(parts[2]) + "</sub>" : "");
+    var base = escapeLaTeX(parts[1]);
+    return ((base.length > 1) ? "\\mathit{" + base + "}" : base) + ((parts[2] !== "") ? "_{" + escapeLaTeX(parts[2]) + "}" : "");
 }
 
 
+//----------------------------------------------------------------------------------
+//----------------------FUNCTIONS FOR THE GEOMETRY OF THE K-MAP---------------------
+//----------------------------------------------------------------------------------
+
+
 /**
-* Checks wether a given n-cube can be accepted by the K-Map.
-*
-* An n-cube is accepted only if it contains no 0 values, and it contains at least one 1 value.
-* Indeed, from the logic of favorising the largest possible n-cubes, it follows that a cube with
-* no 0 values is accepted, even if most other values are "don't cares", as long as it has a single
-* 1 value at least.
+* Returns the sizes of every axis of the K-Map: its width, its height, and then the axes of its levels.
+* An n-cube is a block of spaces along each of these axes, possibly going out of the K-Map and back in.
 *
-* @method makeCube
-* @param coords {Array} An array containing the coordinates of the n-cube's first (top-left-front) space.
-* @param sizes {Array} An array containing the dimensions of the n-cube (in spaces).
-* @return {Array} An array of spaces representing the n-cube's portion of the K-Map.
+* @method getAxisSizes
+* @return {Array} The number of spaces along each axis.
 */
-function makeCube(coords, sizes){
-    var newCube = [];
-    for (var d=coords[2]; d<sizes[2]+coords[2]; d++){
-    for (var w=coords[0]; w<sizes[0]+coords[0]; w++){
-    for (var h=coords[1]; h<sizes[1]+coords[1]; h++){
-        newCube.push([w%KMap.Width,h%KMap.Height,d]);
-    }}}
-    return newCube;
-}
+KMap.prototype.getAxisSizes = function(){
+    return [this.Width, this.Height].concat(this.LvlAxes);
+};
 
 
 /**
-* Within an n-cube array, eliminates any n-cubes whose spaces are entirely covered by other n-cubes in the array.
+* Returns the position of a level of the K-Map along each axis of levels.
 *
-* @method checkForCollisions
-* @param nCubeArray {Array} An array of arrays, each representing the portion of the K-Map covered by an n-cube.
-* @return {Array} Returns a new array containing the maximal n-cubes from the original, those that were not contained in another n-cube.
+* @method getLevelPositions
+* @param d {Integer} The index of the level (its depth).
+* @return {Array} The position of the level along each axis of levels.
 */
-function checkForCollisions(nCubeArray) {
-	var newCubeArray = [];
-    var toKeep = [];
-    var contained = false;
-    for (var i=0; i<nCubeArray.length; i++){
-        contained = false;
-        for (var j=0; j<nCubeArray.length; j++){
-			if ( i!=j &&  nCubeArray[i].length < nCubeArray[j].length){
-				contained = contained || isContainedIn(nCubeArray[i],nCubeArray[j]);
-			}
-            else if ( j<i && nCubeArray[i].length == nCubeArray[j].length ){
-				contained = contained || isContainedIn(nCubeArray[i],nCubeArray[j]);
-			}
-		}
-        if (!contained) {toKeep.push(i);}
+KMap.prototype.getLevelPositions = function(d){
+    var positions = [];
+    for (var a=this.LvlAxes.length-1; a>=0; a--){
+        positions[a] = d % this.LvlAxes[a];
+        d = Math.floor(d / this.LvlAxes[a]);
     }
-    for (var k=0; k<toKeep.length; k++){
-        newCubeArray.push(nCubeArray[toKeep[k]]);
-    }
-    return newCubeArray;
-}
+    return positions;
+};
 
 
 /**
-* Checks if an n-cube is contained in another. Returns true if nCube1 is contained in nCube2.
+* Returns the index of a level of the K-Map (its depth) from its position along each axis of levels.
 *
-* This function  be used in a larger context, with nCube1 and nCube2 being any two lists of spaces from the K-Map (and not necessarily n-cubes).
-* The usage is then the same, to check if one contains the other.
-*
-* @method isContainedIn
-* @param nCube1 {Array} An array of spaces, usually representing an n-cube's portion of the K-Map.
-* @param nCube2 {Array} Another array of spaces, usually representing another n-cube's portion of the K-Map.
-* @return {Bool} Returns true if the spaces in nCube1 are part of the spaces in nCube2, false otherwise.
+* @method getLevelIndex
+* @param positions {Array} The position of the level along each axis of levels.
+* @return {Integer} The index of the level.
 */
-function isContainedIn(nCube1,nCube2){
-    var check = 0; var found = false;
-    for (var i=0; i<nCube1.length; i++){
-		found = false;
-        for (var j=0; j<nCube2.length; j++){
-            if(nCube1[i][0] == nCube2[j][0] && nCube1[i][1] == nCube2[j][1] && nCube1[i][2] == nCube2[j][2]){
-                found = true;
-            }
-        }
-		if(found){check += 1;}
-    }
-    return (check == nCube1.length);
-}
+KMap.prototype.getLevelIndex = function(positions){
+    var d = 0;
+    for (var a=0; a<this.LvlAxes.length; a++) d = d*this.LvlAxes[a] + positions[a];
+    return d;
+};
 
 
 /**
-* Returns true if a given space can already be found in a given list of (covered) spaces.
-* Used to test wether a space that is detected as covered has been already added to the "covered spaces" list or not.
+* Returns the binary string of the level variables for a level of the K-Map.
 *
-* @method alreadyCovered
-* @param space {Array} The coordinates of a space in the K-Map, that has been detected as covered.
-* @param cover {Array} An array of space coordinates. Usually the list of covered spaces, still being built.
-* @return {Bool} Wether the space is already in the list of covered spaces or not.
+* @method getLevelBits
+* @param d {Integer} The index of the level.
+* @return {String} The values of the level variables, as a binary string.
 */
-function alreadyCovered(space, cover){
-    var covered = false;
-    for (var i=0; i<cover.length; i++){
-        if(space[0] == cover[i][0] && space[1] == cover[i][1] && space[2] == cover[i][2]) covered = true;
+KMap.prototype.getLevelBits = function(d){
+    var positions = this.getLevelPositions(d);
+    var str = "";
+    for (var a=0; a<this.LvlAxes.length; a++){
+        str += toBinString(bitOrd[positions[a]], Math.round(Math.log(this.LvlAxes[a])/Math.LN2));
     }
-    return covered;
-}
+    return str;
+};
 
 
 /**
-* Generates a list of covered spaces in the K-Map from a list of n-cubes (representing a cover of said map).
+* Returns the binary string of every logic variable for a space of the K-Map.
+* The level variables come first, followed by the variables written horizontally, and then those written vertically.
 *
-* @method getCoverList
-* @param nCubeArray {Array} An array of arrays, each representing an n-cube's portion of the K-Map.
-* @return {Array} An array representing a cover of the K-Map, containing the coordinates of covered spaces.
+* @method getSpaceBits
+* @param w {Integer} The width coordinate of the space.
+* @param h {Integer} The height coordinate of the space.
+* @param d {Integer} The depth coordinate (level) of the space.
+* @return {String} The values of the logic variables for the space, as a binary string.
 */
-function getCoverList(nCubeArray){
-    cover = [];
-    for (var i=0; i<nCubeArray.length; i++){
-        for (var j=0; j<nCubeArray[i].length; j++){
-            if(!alreadyCovered(nCubeArray[i][j], cover)) cover.push(nCubeArray[i][j]);
-    }}
-    return cover;
-}
+KMap.prototype.getSpaceBits = function(w, h, d){
+    return this.getLevelBits(d) + toBinString(bitOrd[w],this.nVarX) + toBinString(bitOrd[h],this.nVarY);
+};
 
 
 /**
-* Checks if a list of covered spaces contains all of the 1 values in the K-Map.
+* Checks if a block of spaces may start at the given coordinates.
+* A block as large as an axis covers it whole, so it is only considered from the first position of that axis,
+* to avoid listing the same n-cube several times.
 *
-* @method coversAll1
-* @param cover {Array} An array of spaces in the K-Map.
-* @return {Bool} Returns false if at least one 1 value falls outside the array of spaces, true otherwise.
+* @method isValidStart
+* @param coords {Array} The coordinates of the block's first space along each axis.
+* @param sizes {Array} The size of the block along each axis.
+* @param axisSizes {Array} The size of each axis.
+* @return {Bool} Wether the block may start at these coordinates.
 */
-function coversAll1(cover){
-    var check = true;
-    for (var d=0; d<KMap.nLevels; d++){
-    for (var w=0; w<KMap.Width; w++){
-    for (var h=0; h<KMap.Height; h++){
-        if(KMap[d][w][h].Value == 1 && !alreadyCovered([w,h,d], cover)) check = false;
-    }}}
-    return check;
+function isValidStart(coords, sizes, axisSizes){
+    for (var a=0; a<sizes.length; a++){
+        if (sizes[a] > axisSizes[a] || (sizes[a] == axisSizes[a] && coords[a] !== 0)) return false;
+    }
+    return true;
 }
 
 
 /**
-* The "expand" step of the pseudo-ESPRESSO algorithm.
-*
-* Each new n-cube is expanded towards every direction (width, height, and square) until it cannot be expanded anymore,
-* creating various candidate "expanded" n-cubes. These cubes are then added to the n-cube list.
-* Finally, if any expanded n-cubes is contained within another expanded cube, it is removed from the list.
+* Calls a function on every space of a block of the K-Map (an n-cube), going out of the K-Map and back in when needed.
 *
-* In the 5-variable case, n-cubes that cover both levels of depth (E and notE), are treated separately from other cubes,
-* although using the same tree-choice layout for their expansion. This is because, by using that choice layout, it is possible
-* to find a 1-1 association of every case of 1-level-deep cube with a distinct case of 2-levels-deep cube.
+* The spaces are visited level by level, then column by column (width), then row by row (height),
+* starting from the block's first (top-left-front) space.
 *
-* @method EspressoExpand
+* @method forEachCubeSpace
+* @param coords {Array} The coordinates of the block's first space along each axis (width, height, then each axis of levels).
+* @param sizes {Array} The size of the block along each axis.
+* @param callback {Function} The function called with the coordinates [w,h,d] of each space. If it returns true, the visit stops.
 */
-function EspressoExpand() {
-	var newCubeSet = []; // All of the expanded n-cubes created from a single space, regardless of wether some cubes contain others.
+KMap.prototype.forEachCubeSpace = function(coords, sizes, callback){
+    var axisSizes = this.getAxisSizes();
+    var order = []; // From the outermost axis to the innermost one.
+    for (var a=2; a<axisSizes.length; a++) order.push(a);
+    order.push(0); order.push(1);
+    var position = coords.slice();
+    var self = this;
 
-    var w = 0; var h = 0; var d = 0;
+    function visit(k){
+        if (k == order.length){
+            return callback([position[0], position[1], self.getLevelIndex(position.slice(2))]);
+        }
+        var axis = order[k];
+        for (var i=coords[axis]; i<coords[axis]+sizes[axis]; i++){
+            position[axis] = i % axisSizes[axis];
+            if (visit(k+1)) return true;
+        }
+        return false;
+    }
+    visit(0);
+};
 
-	while(d<KMap.nLevels){
-        // For 1-level deep n-cubes (cover either E or notE in the 5 variable case).
-        while(h<KMap.Height){
-            while(w<KMap.Width){
-				newCubeSet = [];
 
-	            if( checkCube([w,h,d], [1,1,1]) ) newCubeSet.push(makeCube([w,h,d], [1,1,1]));
+/**
+* Lists the shapes of n-cubes within a level (width and height), following the tree-choice layout of the expansion:
+* first the n-cubes oriented along the width, then those oriented along the height, and finally the square ones.
+* Each group is sorted by increasing size, and the single space comes first.
+*
+* @method getPlaneShapes
+* @return {Array} An array of groups of shapes, each shape being an array [width, height].
+*/
+KMap.prototype.getPlaneShapes = function(){
+    var groups = [[[1,1]], [], []];
+    for (var sw=1; sw<=this.Width; sw*=2){
+    for (var sh=1; sh<=this.Height; sh*=2){
+        if (sw > sh) groups[0].push([sw,sh]);
+        else if (sw < sh) groups[1].push([sw,sh]);
+        else if (sw > 1) groups[2].push([sw,sh]);
+    }}
+    for (var g=0; g<groups.length; g++){
+        groups[g].sort(function(s1, s2){ return s1[0]*s1[1] - s2[0]*s2[1]; });
+    }
+    return groups;
+};
 
-				//Expanding for n-cubes oriented along the width.
-                if( checkCube([w,h,d], [2,1,1]) ) newCubeSet.push(makeCube([w,h,d], [2,1,1]));
-                //In case a cube takes the whole width.
-                if( KMap.Width==4 && w===0 ){
-                    if( checkCube([w,h,d], [4,1,1]) ) newCubeSet.push(makeCube([w,h,d], [4,1,1]));
-                    if( checkCube([w,h,d], [4,2,1]) ) newCubeSet.push(makeCube([w,h,d], [4,2,1]));
-                }
-                newCubeSet = checkForCollisions(newCubeSet);
-
-                //Expanding for n-cubes oriented along the height.
-                if( checkCube([w,h,d], [1,2,1]) ) newCubeSet.push(makeCube([w,h,d], [1,2,1]));
-                //In case a cube takes the whole height.
-                if( KMap.Height==4 && h===0 ){
-                    if( checkCube([w,h,d], [1,4,1]) ) newCubeSet.push(makeCube([w,h,d], [1,4,1]));
-                    if( checkCube([w,h,d], [2,4,1]) ) newCubeSet.push(makeCube([w,h,d], [2,4,1]));
-                }
-                newCubeSet = checkForCollisions(newCubeSet);
 
-                //Expanding for square n-cubes.
-                if( checkCube([w,h,d], [2,2,1]) ) newCubeSet.push(makeCube([w,h,d], [2,2,1]));
-                //In case a cube takes the whole width and height.
-				if( w===0 && h===0 && KMap.Width==4 && KMap.Height==4){
-                    if( checkCube([w,h,d], [4,4,1]) ) newCubeSet.push(makeCube([w,h,d], [4,4,1]));
-                }
-                newCubeSet = checkForCollisions(newCubeSet);
+/**
+* Lists the shapes of n-cubes across the levels (the size along each axis of levels), by increasing number of levels.
+*
+* @method getLevelShapes
+* @return {Array} An array of shapes, each shape being an array with a size for each axis of levels.
+*/
+KMap.prototype.getLevelShapes = function(){
+    var shapes = [[]];
+    for (var a=0; a<this.LvlAxes.length; a++){
+        var newShapes = [];
+        for (var i=0; i<shapes.length; i++){
+            for (var size=1; size<=this.LvlAxes[a]; size*=2) newShapes.push(shapes[i].concat([size]));
+        }
+        shapes = newShapes;
+    }
+    var levels = function(shape){ return shape.reduce(function(x, y){ return x*y; }, 1); };
+    //The sort is stable, so shapes with the same number of levels keep their order.
+    return shapes.sort(function(s1, s2){ return levels(s1) - levels(s2); });
+};
 
-	            for (var i=0; i<newCubeSet.length; i++){ nCubeList.push(newCubeSet[i]); }
-	            w += 1;
-	        }
-	        w = 0; h += 1;
-		}
-		w = 0; h = 0;
-
-        // For 2-levels deep n-cubes (cover E AND notE in the 5 variable case).
-        if(d===0 && KMap.nLevels==2){
-            while(h<KMap.Height){
-                while(w<KMap.Width){
-                    newCubeSet = [];
-
-                    if( checkCube([w,h,d], [1,1,2]) ) newCubeSet.push(makeCube([w,h,d], [1,1,2]));
-
-                    //Expanding for n-cubes oriented along the width.
-                    if( checkCube([w,h,d], [2,1,2]) ) newCubeSet.push(makeCube([w,h,d], [2,1,2]));
-                    //In case a cube takes the whole width.
-                    if( KMap.Width==4 && w===0 ){
-                        if( checkCube([w,h,d], [4,1,2]) ) newCubeSet.push(makeCube([w,h,d], [4,1,2]));
-                        if( checkCube([w,h,d], [4,2,2]) ) newCubeSet.push(makeCube([w,h,d], [4,2,2]));
-                    }
-                    newCubeSet = checkForCollisions(newCubeSet);
 
-                    //Expanding for n-cubes oriented along the height.
-                    if( checkCube([w,h,d], [1,2,2]) ) newCubeSet.push(makeCube([w,h,d], [1,2,2]));
-                    //In case a cube takes the whole height.
-                    if( KMap.Width==4 && w===0 ){
-                        if( checkCube([w,h,d], [1,4,2]) ) newCubeSet.push(makeCube([w,h,d], [1,4,2]));
-                        if( checkCube([w,h,d], [2,4,2]) ) newCubeSet.push(makeCube([w,h,d], [2,4,2]));
-                    }
-                    newCubeSet = checkForCollisions(newCubeSet);
+//----------------------------------------------------------------------------------
+//-------------------------FUNCTIONS FOR SETS OF MINTERMS---------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Creates an empty set of minterms. A set is a bitset: an array of 32-bit words, the bit m&31 of the word m>>5 telling wether
+* the minterm m is part of the set, so that the union, intersection and inclusion of sets are bitwise operations on a few words.
+*
+* @method newMintermSet
+* @param nVar {Integer} The number of logic variables.
+* @return {Array} The empty set.
+*/
+function newMintermSet(nVar){
+    var set = [];
+    for (var w=0; w<Math.ceil((1 << nVar)/32); w++) set.push(0);
+    return set;
+}
+
+
+/**
+* Adds a minterm to a set of minterms (see newMintermSet).
+*
+* @method addMinterm
+* @param set {Array} The set of minterms, which is modified.
+* @param minterm {Integer} The minterm to add.
+*/
+function addMinterm(set, minterm){
+    set[minterm >> 5] |= 1 << (minterm & 31);
+}
+
+
+/**
+* Returns the union of two sets of minterms.
+*
+* @method unionSets
+* @param set1 {Array} A set of minterms.
+* @param set2 {Array} Another set of minterms, of the same number of variables.
+* @return {Array} A new set, holding the minterms of both sets.
+*/
+function unionSets(set1, set2){
+    var union = [];
+    for (var w=0; w<set1.length; w++) union.push(set1[w] | set2[w]);
+    return union;
+}
+
+
+/**
+* Checks wether two sets of minterms have a minterm in common.
+*
+* @method setsIntersect
+* @param set1 {Array} A set of minterms.
+* @param set2 {Array} Another set of minterms, of the same number of variables.
+* @return {Bool} Wether a minterm is part of both sets.
+*/
+function setsIntersect(set1, set2){
+    for (var w=0; w<set1.length; w++){ if ((set1[w] & set2[w]) !== 0) return true; }
+    return false;
+}
+
+
+/**
+* Checks wether a set of minterms is contained in another one.
+*
+* @method isSubset
+* @param set1 {Array} A set of minterms.
+* @param set2 {Array} Another set of minterms, of the same number of variables.
+* @return {Bool} Wether every minterm of set1 is part of set2.
+*/
+function isSubset(set1, set2){
+    for (var w=0; w<set1.length; w++){ if ((set1[w] & ~set2[w]) !== 0) return false; }
+    return true;
+}
+
+
+/**
+ * The sets of minterms covered by the implicants (see implicantSet), for each number of variables, so that each one is only built once.
+ *
+ * @property implicantSets
+ * @type {Array}
+ */
+var implicantSets = [];
+
+
+/**
+* Returns the set of the minterms covered by an implicant {value, mask}. The sets are kept (see implicantSets), and must not be modified.
+*
+* @method implicantSet
+* @param imp {Object} An implicant {value, mask}.
+* @param nVar {Integer} The number of logic variables.
+* @return {Array} The set of minterms of the implicant (see newMintermSet).
+*/
+function implicantSet(imp, nVar){
+    if (!implicantSets[nVar]) implicantSets[nVar] = {};
+    var key = imp.value * (1 << nVar) + imp.mask;
+    var set = implicantSets[nVar][key];
+    if (set) return set;
+    set = newMintermSet(nVar);
+    //Every combination of the free variables (every subset of the mask) gives a minterm.
+    var free = imp.mask;
+    do{
+        addMinterm(set, imp.value | free);
+        free = (free - 1) & imp.mask;
+    }while (free != imp.mask);
+    implicantSets[nVar][key] = set;
+    return set;
+}
+
+
+/**
+* Checks wether an implicant contains another one: its mask holds every free variable of the other one,
+* and they agree on the variables it depends on.
+*
+* @method implicantContains
+* @param imp1 {Object} An implicant {value, mask}.
+* @param imp2 {Object} Another implicant {value, mask}.
+* @return {Bool} Wether every minterm of imp2 is covered by imp1.
+*/
+function implicantContains(imp1, imp2){
+    return (imp2.mask & ~imp1.mask) === 0 && ((imp1.value ^ imp2.value) & ~imp1.mask) === 0;
+}
+
+
+/**
+* Returns the sets of minterms holding each value in the K-Map (see newMintermSet).
+*
+* @method getMintermSets
+* @return {Object} An object {ones, zeros, dontCares}, each a set of minterms.
+*/
+KMap.prototype.getMintermSets = function(){
+    var sets = {ones: newMintermSet(this.numVar), zeros: newMintermSet(this.numVar), dontCares: newMintermSet(this.numVar)};
+    var names = ["zeros", "ones", "dontCares"];
+    for (var m=0; m<this.Coords.length; m++) addMinterm(sets[names[this.get(m)]], m);
+    return sets;
+};
+
+
+/**
+* Returns the implicant of a block of spaces of the K-Map (an n-cube, see forEachCubeSpace), without visiting its spaces:
+* the positions of the block along each axis add their own bits to the minterms (see AxisBits), and the bits that change along the block
+* are the free variables of the implicant.
+*
+* @method blockToImplicant
+* @param coords {Array} The coordinates of the block's first space along each axis.
+* @param sizes {Array} The size of the block along each axis.
+* @return {Object} The implicant {value, mask} of the block.
+*/
+KMap.prototype.blockToImplicant = function(coords, sizes){
+    var value = 0, mask = 0;
+    for (var a=0; a<sizes.length; a++){
+        var bits = this.AxisBits[a];
+        var first = bits[coords[a]];
+        for (var i=1; i<sizes[a]; i++) mask |= bits[(coords[a]+i) % bits.length] ^ first;
+        value |= first;
+    }
+    return {value: value & ~mask, mask: mask};
+};
+
+
+//----------------------------------------------------------------------------------
+//-----------------------------THE ESPRESSO ALGORITHM-------------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Returns the value grouped by the n-cubes of the cover: 1 for a sum of products, 0 for a product of sums.
+*
+* @method getTargetValue
+* @return {Integer} The value that the n-cubes must cover.
+*/
+KMap.prototype.getTargetValue = function(){
+    return (this.solutionForm == "POS") ? 0 : 1;
+};
+
+
+/**
+* Checks wether an n-cube, given as an implicant, can be accepted by the K-Map:
+* its set of minterms must have no minterm in common with the 0 values, and at least one with the 1 values.
+*
+* Indeed, from the logic of favorising the largest possible n-cubes, it follows that a cube with
+* no 0 values is accepted, even if most other values are "don't cares", as long as it has a single
+* 1 value at least.
+* For a product of sums, the roles of 0 and 1 values are swapped.
+*
+* @method checkImplicant
+* @param imp {Object} The implicant {value, mask} of the n-cube.
+* @param sets {Object} The sets of minterms of the K-Map (see getMintermSets).
+* @return {Bool} Wether the n-cube is accepted.
+*/
+KMap.prototype.checkImplicant = function(imp, sets){
+    var pos = (this.getTargetValue() === 0);
+    var set = implicantSet(imp, this.numVar);
+    return !setsIntersect(set, pos ? sets.ones : sets.zeros) && setsIntersect(set, pos ? sets.zeros : sets.ones);
+};
+
+
+/**
+* Lists the spaces of an n-cube, given by its first space and its dimensions.
+*
+* @method makeCube
+* @param coords {Array} An array containing the coordinates of the n-cube's first (top-left-front) space, along each axis (see getAxisSizes).
+* @param sizes {Array} An array containing the dimensions of the n-cube (in spaces).
+* @return {Array} An array of spaces representing the n-cube's portion of the K-Map.
+*/
+KMap.prototype.makeCube = function(coords, sizes){
+    var newCube = [];
+    this.forEachCubeSpace(coords, sizes, function(space){ newCube.push(space); });
+    return newCube;
+};
+
+
+/**
+* Within a list of n-cubes, eliminates any n-cubes whose spaces are entirely covered by other n-cubes in the list.
+* An n-cube is eliminated if it is contained in a larger one, or if it is the same as one before it in the list.
+*
+* @method checkForCollisions
+* @param imps {Array} The n-cubes, as implicants {value, mask}.
+* @return {Array} Returns a new array containing the maximal n-cubes from the original, those that were not contained in another n-cube.
+*/
+function checkForCollisions(imps) {
+    return imps.filter(function(imp, i){
+        for (var j=0; j<imps.length; j++){
+            if (i == j || !implicantContains(imps[j], imp)) continue;
+            if (imps[j].mask != imp.mask || j < i) return false;
+        }
+        return true;
+    });
+}
+
+
+/**
+* Generates a list of covered spaces in the K-Map from a list of n-cubes (representing a cover of said map),
+* each space being listed once, in the order in which the n-cubes reach it.
+*
+* @method getCoverList
+* @param nCubeArray {Array} An array of arrays, each representing an n-cube's portion of the K-Map.
+* @return {Array} An array representing a cover of the K-Map, containing the coordinates of covered spaces.
+*/
+function getCoverList(nCubeArray){
+    var cover = [];
+    var covered = {};
+    for (var i=0; i<nCubeArray.length; i++){
+        for (var j=0; j<nCubeArray[i].length; j++){
+            var key = nCubeArray[i][j].join(",");
+            if (!covered[key]){ covered[key] = true; cover.push(nCubeArray[i][j]); }
+    }}
+    return cover;
+}
+
+
+/**
+* Returns the set of the minterms covered by a list of n-cubes, given as implicants.
+*
+* @method getCoverSet
+* @param imps {Array} The n-cubes, as implicants {value, mask}.
+* @return {Array} The set of covered minterms (see newMintermSet).
+*/
+KMap.prototype.getCoverSet = function(imps){
+    var cover = newMintermSet(this.numVar);
+    for (var i=0; i<imps.length; i++) cover = unionSets(cover, implicantSet(imps[i], this.numVar));
+    return cover;
+};
+
+
+/**
+* The "expand" step of the pseudo-ESPRESSO algorithm.
+*
+* Each new n-cube is expanded towards every direction (width, height, and square) until it cannot be expanded anymore,
+* creating various candidate "expanded" n-cubes. These cubes are then added to the n-cube list.
+* Finally, if any expanded n-cubes is contained within another expanded cube, it is removed from the list.
+*
+* With 5 variables or more, n-cubes that cover several levels of depth (E and notE in the 5-variable case), are treated separately from other cubes,
+* although using the same tree-choice layout for their expansion. This is because, by using that choice layout, it is possible
+* to find a 1-1 association of every case of 1-level-deep cube with a distinct case of multiple-levels-deep cube.
+* The shapes of the n-cubes are enumerated along every axis of the K-Map (see getPlaneShapes and getLevelShapes),
+* so the same method applies to any number of variables.
+*
+* @method EspressoExpand
+* @param [steps] {Array} If given, the intermediate states of the algorithm are recorded in it (see getEspressoSteps).
+*/
+KMap.prototype.EspressoExpand = function(steps){
+	var newCubeSet = []; // All of the expanded n-cubes created from a single space, regardless of wether some cubes contain others.
+    var candidates = []; // The n-cubes expanded from every space.
+    var planeShapes = this.getPlaneShapes();
+    var levelShapes = this.getLevelShapes();
+    var axisSizes = this.getAxisSizes();
+    var sets = this.getMintermSets();
+    var self = this;
+    var toCube = function(imp){ return self.makeCube(imp.coords, imp.sizes); };
+    var coords, sizes, imp;
 
-                    //Expanding for square n-cubes.
-                    if( checkCube([w,h,d], [2,2,2]) ) newCubeSet.push(makeCube([w,h,d], [2,2,2]));
-                    //In case a cube takes the whole width and height.
-                    if( w===0 && h===0 && KMap.Width==4 && KMap.Height==4){
-                        if( checkCube([w,h,d], [4,4,2]) ) newCubeSet.push(makeCube([w,h,d], [4,4,2]));
+	for (var d=0; d<this.nLevels; d++){
+        var levelPos = this.getLevelPositions(d);
+        // For each depth of n-cubes (1 level deep first, then the n-cubes that cover several levels).
+        for (var l=0; l<levelShapes.length; l++){
+            if (!isValidStart(levelPos, levelShapes[l], this.LvlAxes)) continue;
+            for (var h=0; h<this.Height; h++){
+            for (var w=0; w<this.Width; w++){
+                newCubeSet = [];
+                //Expanding for n-cubes oriented along the width, then along the height, and finally for square n-cubes.
+                for (var g=0; g<planeShapes.length; g++){
+                    for (var s=0; s<planeShapes[g].length; s++){
+                        coords = [w,h].concat(levelPos);
+                        sizes = planeShapes[g][s].concat(levelShapes[l]);
+                        if (!isValidStart(coords, sizes, axisSizes)) continue;
+                        //The n-cubes are handled as implicants, keeping their block so that their spaces can be listed at the end.
+                        imp = this.blockToImplicant(coords, sizes);
+                        if (this.checkImplicant(imp, sets)) newCubeSet.push({value: imp.value, mask: imp.mask, coords: coords, sizes: sizes});
                     }
                     newCubeSet = checkForCollisions(newCubeSet);
-
-                    for (var j=0; j<newCubeSet.length; j++){ nCubeList.push(newCubeSet[j]); }
-                    w += 1;
                 }
-                w = 0; h += 1;
-            }
-            w = 0; h = 0;
+	            for (var i=0; i<newCubeSet.length; i++){ candidates.push(newCubeSet[i]); }
+                if (steps && newCubeSet.length > 0){
+                    var depth = levelShapes[l].reduce(function(x, y){ return x*y; }, 1);
+                    steps.push({type: "expand", cubes: newCubeSet.map(toCube), focus: [[w,h,d]],
+                        message: "Expanding from cell " + this.Map[d][w][h].Minterm + ((depth > 1) ? ", across " + depth + " levels" : "")
+                               + ((newCubeSet.length > 1) ? ": the largest groups found are " : ": the largest group found is ") + this.describeCubes(newCubeSet.map(toCube))
+                               + " (the groups contained in another one have been dropped)."});
+                }
+            }}
         }
-        w = 0; h = 0; d +=1;
     }
-    nCubeList = checkForCollisions(nCubeList);
-}
+    this.nCubeList = this.nCubeList.concat(checkForCollisions(candidates).map(toCube));
+    if (steps){
+        steps.push({type: "merge", cubes: this.nCubeList.slice(),
+            message: "The " + plural(candidates.length, "candidate group") + " are merged, and the groups contained in another one are dropped: "
+                   + ((this.nCubeList.length > 0) ? plural(this.nCubeList.length, "group") + " left, " + this.describeCubes(this.nCubeList) + "." : "no group is left.")});
+    }
+};
 
 
 /**
@@ -482,33 +1172,39 @@ function EspressoExpand() {
 * and is retained in the list.
 *
 * @method EspressoIrredundantCover
+* @param [steps] {Array} If given, the intermediate states of the algorithm are recorded in it (see getEspressoSteps).
 */
-function EspressoIrredundantCover() {
-    coverList = getCoverList(nCubeList);
+KMap.prototype.EspressoIrredundantCover = function(steps){
+    //The covers are compared as sets of minterms, the n-cubes being handled as implicants.
+    var imps = this.nCubeList.map(this.cubeToImplicant, this);
+    var targets = this.getMintermSets()[(this.getTargetValue() === 1) ? "ones" : "zeros"];
+    var cover = this.getCoverSet(imps);
     var lastIter = false;
-    var newNCubeList = [];
-    var newCover = [];
+    var newCover;
     while(lastIter === false){
         //If the previous itteration didn't remove any n-cubes, it becomes the last iteration and the algorithm stops.
         lastIter = true;
-        for (var i=0; i<nCubeList.length; i++){
+        for (var i=0; i<this.nCubeList.length; i++){
             //We itterate from the first n-cube on the list onwards. That is, from the top-left corner.
-            newNCubeList = JSON.parse(JSON.stringify(nCubeList));
-            newNCubeList.splice(i, 1);
-            newCover = getCoverList(newNCubeList);
+            newCover = this.getCoverSet(imps.slice(0, i).concat(imps.slice(i+1)));
             //We check if the old cover is contained in the new one, to see if they are the same (the new one is always contained in the old one).
-            if( isContainedIn(coverList,newCover) ){
-                nCubeList = newNCubeList; coverList = newCover;
-                lastIter = false;
-            }
             //Alternatively, in the "don't care" case, we check if all the 1 values are still contained within the cover.
-            else if (allowDC && coversAll1(newCover)) {
-                nCubeList = newNCubeList; coverList = newCover;
-                lastIter = false;
+            var same = isSubset(cover, newCover);
+            if (!same && !(this.allowDC && isSubset(targets, newCover))) continue;
+            var newNCubeList = this.nCubeList.slice();
+            newNCubeList.splice(i, 1);
+            if (steps){
+                steps.push({type: "remove", cubes: newNCubeList, focus: this.nCubeList[i],
+                    message: this.describeCubes([this.nCubeList[i]]) + (same ? " is removed: without it, the cover is unchanged, since the other groups already cover all of its cells."
+                           : " is removed: without it, some \"don't care\" cells are no longer covered, but all of the " + this.getTargetValue() + " values still are.")});
             }
+            this.nCubeList = newNCubeList; cover = newCover;
+            imps.splice(i, 1);
+            lastIter = false;
         }
     }
-}
+    this.coverList = getCoverList(this.nCubeList);
+};
 
 
 
@@ -519,499 +1215,5655 @@ function EspressoIrredundantCover() {
 *
 * @method EspressoSolve
 */
-function EspressoSolve() {
-	nCubeList = [];
-	coverList = [];
-    EspressoExpand();
-    EspressoIrredundantCover();
-}
+KMap.prototype.EspressoSolve = function(){
+	this.nCubeList = [];
+	this.coverList = [];
+    this.EspressoExpand();
+    this.EspressoIrredundantCover();
+};
+
+
+/**
+* Runs the pseudo-ESPRESSO algorithm while recording its intermediate states, to show how the cover is found step by step.
+* The cover of the K-Map (nCubeList and coverList) is left as it was.
+*
+* Each step is an object {type, cubes, focus, message}: its type ("expand" for the groups found from a cell, "merge" for the merged list of candidates,
+* "irredundant" when the irredundant cover step starts, "remove" for each group removed, and "result" for the final cover),
+* the n-cubes to show, the spaces or n-cube it is focused on (if any), and an explanation.
+* The steps are only recorded once for each solution of the K-Map (see espressoSteps).
+*
+* @method getEspressoSteps
+* @return {Array} The steps of the algorithm.
+*/
+KMap.prototype.getEspressoSteps = function(){
+    this.update();
+    if (this.espressoSteps) return this.espressoSteps;
+    var nCubeList = this.nCubeList; var coverList = this.coverList;
+    var steps = [];
+	this.nCubeList = [];
+	this.coverList = [];
+    this.EspressoExpand(steps);
+    steps.push({type: "irredundant", cubes: this.nCubeList.slice(),
+        message: "Each group is now removed in turn, from the first one onwards, if it is redundant. This is repeated until no group can be removed."});
+    this.EspressoIrredundantCover(steps);
+    steps.push({type: "result", cubes: this.nCubeList.slice(),
+        message: "No more groups can be removed. The cover is " + ((this.nCubeList.length > 0) ? this.describeCubes(this.nCubeList) : "empty") + "."});
+    this.nCubeList = nCubeList; this.coverList = coverList;
+    this.espressoSteps = steps;
+    return steps;
+};
+
+
+/**
+* Describes a list of n-cubes in plain text, by their terms, such as "A'B, CD and BD'".
+*
+* @method describeCubes
+* @param nCubeArray {Array} An array of arrays, each representing an n-cube's portion of the K-Map.
+* @return {String} The terms of the n-cubes.
+*/
+KMap.prototype.describeCubes = function(nCubeArray){
+    var self = this;
+    var terms = nCubeArray.map(function(nCube){ return self.getFunctionText(nCube, "text"); });
+    if (terms.length <= 1) return terms.join("");
+    return terms.slice(0, -1).join(", ") + " and " + terms[terms.length-1];
+};
 
 
 //----------------------------------------------------------------------------------
-//-------------------FUNCTIONS FOR CREATING AND MANAGING K-MAPS---------------------
+//--------------------THE EXACT ALGORITHM (QUINE-McCLUSKEY + PETRICK)---------------
 //----------------------------------------------------------------------------------
 
-/**
- * Resets and rebuilds the KMap matrix and its attributes, with a given number of logic variables.
- *
- * @method initKMap
- * @param nVar {Integer} The number of variables for the map.
- */
-function initKMap (nVar){
-    KMap = [];
-    KMap.nLevels = KLvl[nVar];
-    KMap.Width = KWid[nVar];
-    KMap.Height = KHei[nVar];
-    KMap.nVarX = KVarX[nVar];
-    KMap.nVarY = KVarY[nVar];
-    for (var d=0; d<KMap.nLevels; d++){
-        KMap[d] = [];
-        for (var w=0; w<KMap.Width; w++){
-    		KMap[d][w] = [];
-    		for (var h=0; h<KMap.Height; h++){
-    			KMap[d][w][h] = [];
-    			KMap[d][w][h].Value = 0; // False is default
-    			valueStr = toBinString(bitOrd[d],KMap.nLevels-1) + toBinString(bitOrd[w],KMap.nVarX) + toBinString(bitOrd[h],KMap.nVarY);
-    			value = parseInt(valueStr,2);
 
-    			KMap[d][w][h].Button_id = "KM" + valueStr;
-    			KMap[d][w][h].TD_id = "TD" + valueStr;
-    	}}
+/**
+* Gathers the minterms of the K-Map that hold a 1 value, those that hold a 0 value, and those that hold a "don't care" value.
+*
+* @method getMintermLists
+* @return {Object} An object {ones, zeros, dontCares}, each an ascending array of minterms.
+*/
+KMap.prototype.getMintermLists = function(){
+    var lists = {ones: [], zeros: [], dontCares: []};
+    for (var m=0; m<this.Coords.length; m++){
+        var space = this.Map[this.Coords[m][2]][this.Coords[m][0]][this.Coords[m][1]];
+        if (space.Value === 1) lists.ones.push(m);
+        else if (space.Value === 0) lists.zeros.push(m);
+        else if (space.Value === 2) lists.dontCares.push(m);
     }
+    return lists;
+};
+
+
+/**
+* Counts the number of bits set to 1 in an integer.
+*
+* @method countBits
+* @param val {Integer} A non-negative integer.
+* @return {Integer} The number of 1 bits in val.
+*/
+function countBits(val){
+    var count = 0;
+    while (val){ count += val & 1; val >>>= 1; }
+    return count;
 }
 
 
 /**
-* Simply resets and redraws the K-Map, using the current number of variables.
+* Checks if an implicant covers a given minterm.
 *
-* @method resetKMap
+* An implicant is an object {value, mask}: the bits set in mask are the variables the implicant does not depend on,
+* and the remaining bits of value give the state in which the other variables are accepted.
+*
+* @method implicantCovers
+* @param imp {Object} An implicant {value, mask}.
+* @param minterm {Integer} The minterm to test.
+* @return {Bool} Wether the minterm is part of the implicant.
 */
-function resetKMap(){
-    initKMap(numVar); redraw();
+function implicantCovers(imp, minterm){
+    return (minterm & ~imp.mask) === imp.value;
 }
 
 
 /**
-* Changes the number of variables of the K-Map, resetting it in the process.
+* The "prime implicants" step of the Quine-McCluskey algorithm.
 *
-* @method changeNumVar
-* @param Num {Integer} The new number of variables for the map.
+* Starting from single minterms, implicants that only differ by one bit (with the same mask) are merged two by two,
+* until no more merges are possible. The implicants that were never merged are the prime implicants.
+* Prime implicants made only of "don't care" values are discarded, since they are never needed in a cover.
+*
+* @method QMPrimeImplicants
+* @param ones {Array} The minterms with a 1 value.
+* @param dontCares {Array} The minterms with a "don't care" value.
+* @return {Array} The list of prime implicants, as objects {value, mask}.
 */
-function changeNumVar(Num){
-    if(Num != numVar){
-        numVar = Num; initKMap(Num);
-        document.getElementById("Var2").checked = (Num==2)?true:false;
-        document.getElementById("Var3").checked = (Num==3)?true:false;
-        document.getElementById("Var4").checked = (Num==4)?true:false;
-        document.getElementById("Var5").checked = (Num==5)?true:false;
+function QMPrimeImplicants(ones, dontCares){
+    var primes = [];
+    var current = [];
+    var all = ones.concat(dontCares);
+    var allBits = 0;
+    for (var i=0; i<all.length; i++){ current.push({value: all[i], mask: 0}); allBits |= all[i]; }
+
+    while (current.length > 0){
+        var next = []; var nextKeys = {};
+        var merged = [];
+        //Instead of comparing every pair of implicants, each one looks up the implicants that differ from it by a single bit.
+        var index = {};
+        for (var c=0; c<current.length; c++) index[current[c].value + "/" + current[c].mask] = c;
+        for (var a=0; a<current.length; a++){
+            var partners = [];
+            var free = allBits & ~current[a].mask;
+            for (var bit=1; bit<=free; bit<<=1){
+                var b = (free & bit) ? index[(current[a].value ^ bit) + "/" + current[a].mask] : undefined;
+                if (b > a) partners.push(b);
+            }
+            //The merges are made in the order of the list, as when comparing the pairs.
+            partners.sort(function(x, y){ return x - y; });
+            for (var p=0; p<partners.length; p++){
+                var diff = current[a].value ^ current[partners[p]].value;
+                merged[a] = true; merged[partners[p]] = true;
+                var imp = {value: current[a].value & ~diff, mask: current[a].mask | diff};
+                var key = imp.value + "/" + imp.mask;
+                if (!nextKeys[key]){ nextKeys[key] = true; next.push(imp); }
+            }
+        }
+        for (var c=0; c<current.length; c++){
+            if (!merged[c]) primes.push(current[c]);
+        }
+        current = next;
     }
-    redraw();
+
+    return primes.filter(function(imp){
+        return ones.some(function(m){ return implicantCovers(imp, m); });
+    });
 }
 
 
 /**
-* Switches wether the K-Map allows for "don't care" symbols or not, resetting it in the process.
+* Counts the literals of the term related to an implicant.
 *
-* @method switchDontCare
+* @method implicantLiterals
+* @param imp {Object} An implicant {value, mask}.
+* @param nVar {Integer} The number of logic variables.
+* @return {Integer} The number of literals in the implicant's term.
 */
-function switchDontCare(){
-    allowDC = !allowDC;
-    for (var d=0; d<KMap.nLevels; d++){
-    for (var w=0; w<KMap.Width; w++){
-    for (var h=0; h<KMap.Height; h++){
-        if(KMap[d][w][h].Value === 2) KMap[d][w][h].Value = 0;
-    }}}
-    redraw();
+function implicantLiterals(imp, nVar){
+    return nVar - countBits(imp.mask);
 }
 
 
 /**
-* Modifies an entry in the K-Map, switching its value attribute (an integer)
-* between 0 (false), 1 (true), and 2 (don't care).
+* Petrick's method: finds every cover of the given minterms by the prime implicants that is of minimal cost.
 *
-* @method modifyKMEntry
-* @param entry {Variable} A reference to an entry of the K-Map.
+* The cover condition is written as a product of sums (one sum of prime implicants per minterm, Petrick's function),
+* whose products of minimal cost are searched for by branch and bound, rather than by expanding the whole function.
+* The cost of a cover is its number of terms first, and its number of literals second.
+*
+* At each step, the prime implicants alone in their sum (essential) are taken, and the others are tried in turn
+* for the sum with the fewest prime implicants left. A prime implicant that has been tried is left out of the following branches,
+* so that each cover is only found once. Branches that cannot lead to a cover as cheap as the best one found so far are pruned,
+* using the sums that have no prime implicant in common as a lower bound, the cover built by greedyCover being the first one to beat.
+*
+* The search is done twice: first to find the minimal cost, also leaving out the prime implicants that cover no more than
+* another, cheaper or equal one (which can never be needed), and then to list every cover of that cost.
+* Since very symmetric functions may have a huge number of equally minimal covers, the second search stops after
+* maxPetrickSteps steps, or once maxMinimalCovers covers are found, the list being then marked as truncated.
+* The first cover is always one found by the first search.
+*
+* @method PetrickCovers
+* @param primes {Array} The list of prime implicants, as objects {value, mask}.
+* @param ones {Array} The minterms that must be covered (or other rows, see rowCovers).
+* @param nVar {Integer} The number of logic variables.
+* @param [rowCovers=implicantCovers] {Function} Tells wether a prime implicant covers a row, for rows that are not simply minterms.
+* @param [maxSteps] {Integer} If given, the first search stops after this number of steps: the cheapest cover found so far
+* is then returned alone, without knowing wether it is minimal.
+* @param [listCovers=true] {Boolean} Wether to list every minimal cover, rather than only the first one found.
+* @return {Object} An object {covers, truncated, minimal}: the minimal covers, as an array of ascending arrays of indexes in primes,
+* wether a search was stopped, so that there may be other minimal covers, and wether the covers are known to be minimal.
 */
-function modifyKMEntry(entry){
-    if (entry.Value === 0) entry.Value = 1;
-    else if (entry.Value === 1 && allowDC) entry.Value = 2;
-    else entry.Value = 0;
-    redraw();
-}
+function PetrickCovers(primes, ones, nVar, rowCovers, maxSteps, listCovers){
+    if (rowCovers === undefined) rowCovers = implicantCovers;
+    //The minterms to cover are the rows of Petrick's function, stored as bitsets of 32-row words.
+    var words = Math.max(1, Math.ceil(ones.length/32));
+    var hasRow = function(set, r){ return (set[r>>5] >>> (r&31)) & 1; };
+    var andNot = function(set1, set2){ return set1.map(function(x, i){ return x & ~set2[i]; }); };
+    var isEmpty = function(set){ return set.every(function(x){ return x === 0; }); };
+    var isSubset = function(set1, set2, within){
+        return set1.every(function(x, i){ return (x & within[i] & ~set2[i]) === 0; });
+    };
+    var countRows = function(set, within){
+        return set.reduce(function(n, x, i){ return n + countBits((x & within[i]) >>> 0); }, 0);
+    };
 
-// *****************************************************THIS IS THE MAIN THING***************************************************************************************************************
-//----------------------------------------------------------------------------------
-//----------------------FUNCTIONS FOR THE AESTHETICS OF THE GUI---------------------
-//----------------------------------------------------------------------------------
+    var allRows = []; var rowSets = [];
+    for (var w=0; w<words; w++) allRows[w] = 0;
+    for (var r=0; r<ones.length; r++) allRows[r>>5] |= 1 << (r&31);
+    for (var p=0; p<primes.length; p++){
+        rowSets[p] = allRows.map(function(){ return 0; });
+        for (var r2=0; r2<ones.length; r2++){
+            if (rowCovers(primes[p], ones[r2])) rowSets[p][r2>>5] |= 1 << (r2&31);
+        }
+    }
+    //A single weight per prime implicant, so that any number of terms outweighs any number of literals.
+    var termWeight = nVar*primes.length + 1;
+    var weights = primes.map(function(imp){ return termWeight + implicantLiterals(imp, nVar); });
 
+    var best = Infinity; var covers = []; var coverKeys = {}; var steps = 0; var truncated = false; var minimal = true;
+    var greedy = greedyCover(rowSets, allRows, weights);
+    if (greedy !== null){
+        best = greedy.reduce(function(cost, c){ return cost + weights[c]; }, 0);
+        covers = [greedy]; coverKeys[greedy.join(",")] = true;
+    }
 
-/**
- * Sets the color for each space in the K-Map's HTML representation back to its normal value.
- *
- * @method setAllToNormalColor
- */
-function setAllToNormalColor(){
-    for (d=0; d<KMap.nLevels; d++){
-        for (h=0; h<KMap.Height; h++){
-            for (w=0; w<KMap.Width; w++){
-                    document.getElementById(KMap[d][w][h].Button_id).style.backgroundColor = normalColor;
-    }}}
-}
+    function search(uncovered, cols, cost, chosen, listAll){
+        if (listAll && (++steps > maxPetrickSteps || covers.length >= maxMinimalCovers)){ truncated = true; return; }
+        if (!listAll && maxSteps !== undefined && ++steps > maxSteps){ truncated = true; minimal = false; return; }
+        cols = cols.filter(function(c){ return !isEmpty(rowSets[c].map(function(x, i){ return x & uncovered[i]; })); });
+        chosen = chosen.slice();
 
+        //The sums not yet satisfied, with the prime implicants left in each, from the shortest sum to the longest.
+        var open = [];
+        for (var r=0; r<ones.length; r++){
+            if (!hasRow(uncovered, r)) continue;
+            var sum = cols.filter(function(c){ return hasRow(rowSets[c], r); });
+            if (sum.length === 0) return; //This minterm can no longer be covered.
+            if (sum.length == 1){
+                //Essential prime implicant: taken without branching.
+                chosen.push(sum[0]);
+                return search(andNot(uncovered, rowSets[sum[0]]), cols, cost + weights[sum[0]], chosen, listAll);
+            }
+            open.push(sum);
+        }
+        if (open.length === 0){
+            var key = chosen.sort(function(x, y){ return x - y; }).join(",");
+            if (cost < best){ best = cost; covers = []; coverKeys = {}; }
+            if (cost == best && !coverKeys[key]){ coverKeys[key] = true; covers.push(chosen); }
+            return;
+        }
 
-/**
- * Sets the color of a group of spaces in the K-Map's HTML representation to a given color.
- *
- * @method setColor
- * @param nCube {Array} An array of coordinates corresponding to spaces in the K-Map, usually an n-cube.
- * @param color {String} A string specifying the color that the set of spaces will take.
- */
-function setColor(nCube,color){
-    for(var i=0; i<nCube.length; i++){
-        document.getElementById(KMap[nCube[i][2]][nCube[i][0]][nCube[i][1]].Button_id).style.backgroundColor = color;
+        if (!listAll){
+            //Prime implicants that cover no more than a cheaper (or equal) one can be left out.
+            var dominated = cols.filter(function(c1){
+                return cols.some(function(c2){
+                    if (c1 == c2 || weights[c2] > weights[c1] || !isSubset(rowSets[c1], rowSets[c2], uncovered)) return false;
+                    return weights[c2] < weights[c1] || !isSubset(rowSets[c2], rowSets[c1], uncovered) || c2 < c1;
+                });
+            });
+            if (dominated.length > 0){
+                return search(uncovered, cols.filter(function(c){ return dominated.indexOf(c) == -1; }), cost, chosen, listAll);
+            }
+        }
+
+        open.sort(function(s1, s2){ return s1.length - s2.length; });
+        var bound = cost; var used = [];
+        for (var o=0; o<open.length; o++){
+            if (open[o].some(function(c){ return used[c]; })) continue;
+            open[o].forEach(function(c){ used[c] = true; });
+            bound += Math.min.apply(null, open[o].map(function(c){ return weights[c]; }));
+        }
+        if (listAll ? bound > best : bound >= best) return;
+
+        //The prime implicants covering the most minterms are tried first, to find cheap covers early.
+        var branches = open[0].slice().sort(function(c1, c2){
+            return (countRows(rowSets[c2], uncovered) - countRows(rowSets[c1], uncovered)) || (weights[c1] - weights[c2]);
+        });
+        for (var b=0; b<branches.length; b++){
+            cols = cols.filter(function(c){ return c != branches[b]; });
+            search(andNot(uncovered, rowSets[branches[b]]), cols, cost + weights[branches[b]], chosen.concat([branches[b]]), listAll);
+        }
     }
-}
 
-/**
- * Redraws the HTML display of the KMap and its solution.
- *
- * @method redraw
- */
-function redraw(){
-    document.getElementById("KMapMaker");
-    document.getElementById("KMapDiv").innerHTML = generateKMapHTML();
-    document.getElementById("SolutionDiv").innerHTML = generateSolutionHTML();
-    document.getElementById("LaTeXCode").value = generateLaTeXCode();
+    var allCols = primes.map(function(imp, c){ return c; });
+    search(allRows, allCols, 0, [], false);
+    if (!minimal || listCovers === false) return {covers: covers.slice(0, 1), truncated: true, minimal: minimal};
+    var firstCover = covers[0];
+    covers = [firstCover]; coverKeys = {}; coverKeys[firstCover.join(",")] = true; steps = 0;
+    search(allRows, allCols, 0, [], true);
+    return {covers: covers, truncated: truncated, minimal: minimal};
 }
 
 
 /**
- * Generates a new HTML code for the K-Map. The map is displayed as a matrix of clickable buttons.
- *
- * @method generateKMapHTML
- * @return {String} The new HTML code for the K-Map.
- */
- function generateKMapHTML() {
-     var text = "<center></center>";
-     text += "\n<center></center>";
-     text += "<center><small>An exportable LaTeX code for the current K-Map <a href='#LaTeX'>is available below</a>.</small></center><br /><center>";
-     var h,w,d; //Using a 3D table helps to account for 5 variables;
-
+* Builds a cover of the rows of Petrick's function by repeatedly picking the prime implicant that covers the most rows left
+* (the cheapest one on a tie). The result is not necessarily minimal, but gives an upper bound for Petrick's method (see PetrickCovers).
+*
+* @method greedyCover
+* @param rowSets {Array} The rows covered by each prime implicant, as bitsets of 32-row words.
+* @param rows {Array} The rows that must be covered, as a bitset.
+* @param weights {Array} The cost of each prime implicant.
+* @return {Array} A cover, as an ascending array of indexes in rowSets, or null if some rows cannot be covered.
+*/
+function greedyCover(rowSets, rows, weights){
+    var left = rows.slice();
+    var cover = [];
+    while (left.some(function(x){ return x !== 0; })){
+        var bestP = -1; var bestCount = 0;
+        for (var p=0; p<rowSets.length; p++){
+            var count = rowSets[p].reduce(function(n, x, i){ return n + countBits((x & left[i]) >>> 0); }, 0);
+            if (count > bestCount || (count == bestCount && count > 0 && weights[p] < weights[bestP])){
+                bestP = p; bestCount = count;
+            }
+        }
+        if (bestP == -1) return null;
+        cover.push(bestP);
+        left = left.map(function(x, i){ return x & ~rowSets[bestP][i]; });
+    }
+    return cover.sort(function(x, y){ return x - y; });
+}
 
-     //text += "<table border=1>";
-     text += "<table>";
 
- 	//Width of the matrix
- 	text += "<tr><th></th><th></th><th colspan="+KMap.Width*KMap.Height+2+">";
- 	for (var i=0; i<KMap.nVarX+KMap.nLevels-1; i++){
- 		text += varNames[i];
- 	}
+/**
+* Finds the essential prime implicants: those that are the only prime implicant covering one of the given minterms.
+*
+* @method findEssentialPrimes
+* @param primes {Array} The list of prime implicants, as objects {value, mask}.
+* @param ones {Array} The minterms that must be covered.
+* @return {Array} The essential prime implicants, as an ascending array of indexes in primes.
+*/
+function findEssentialPrimes(primes, ones){
+    var essentials = [];
+    for (var i=0; i<ones.length; i++){
+        var covering = [];
+        for (var p=0; p<primes.length && covering.length < 2; p++){
+            if (implicantCovers(primes[p], ones[i])) covering.push(p);
+        }
+        if (covering.length == 1 && essentials.indexOf(covering[0]) == -1) essentials.push(covering[0]);
+    }
+    return essentials.sort(function(x, y){ return x - y; });
+}
 
- 	text += "</th></tr>";
- 	text += "<tr>";
- 	text += "<th></th><th></th><th></th>";
-    for (d=0; d<KMap.nLevels; d++){
- 	for (w=0; w<KMap.Width; w++){
-        if (w===0 && d==1) text += "<th style='width:1mm'></th>";
- 		text += "<th>"+toBinString(bitOrd[d*4+w],KMap.nVarX+KMap.nLevels-1)+"</th>";
-    }}
- 	text+="</tr>";
 
- 	//Height of the matrix
- 	for (h=0; h<KMap.Height; h++){
- 		text = text + "<tr>";
- 		if (h===0){
-            text += "<th rowspan="+KMap.Height+">";
- 			for (var j=0; j<KMap.nVarY; j++){
- 				text += varNames[j+KMap.nVarX+KMap.nLevels-1];
- 			}
-            text += "<th rowspan="+KMap.Height+">";
- 		}
- 		text += "<th>"+toBinString (bitOrd[h],KMap.nVarY)+"</th>";
+/**
+* Calculates the cost of a list of implicants, as its number of terms and its total number of literals.
+*
+* @method getImplicantsCost
+* @param imps {Array} A list of implicants, as objects {value, mask}.
+* @param nVar {Integer} The number of logic variables.
+* @return {Object} The cost, as an object {terms, literals}.
+*/
+function getImplicantsCost(imps, nVar){
+    var literals = 0;
+    for (var i=0; i<imps.length; i++) literals += implicantLiterals(imps[i], nVar);
+    return {terms: imps.length, literals: literals};
+}
 
- 		//Filling the matrix with buttons
-        for (d=0; d<KMap.nLevels; d++){
- 		for (w=0; w<KMap.Width; w++){
-            if (w===0 && d==1) text += "<th style='width:1mm'></th>";
- 			text += "<td  ID='"+KMap[d][w][h].TFD_id+"'; style='background-color:0xFF'>";
- 			text += "<input ID="+KMap[d][w][h].Button_id +" name="+KMap[d][w][h].Button_id;
-            text += " type='button'  style='height:6mm;width:8mm' value=' "+ boolToBin(KMap[d][w][h].Value);
-            text += " '; onClick=modifyKMEntry(KMap["+d+"]["+w+"]["+h+"]);></td>";
- 		}}
- 		text += "</tr>";
- 	}
-    text += "</table>";
- 	text+="</center></td></tr>";
 
- 	return text;
+/**
+* Compares two costs: the number of terms first, and the number of literals second.
+*
+* @method compareCosts
+* @param cost1 {Object} A cost {terms, literals}.
+* @param cost2 {Object} Another cost {terms, literals}.
+* @return {Integer} A negative value if cost1 is cheaper, a positive one if cost2 is cheaper, 0 if they are equal.
+*/
+function compareCosts(cost1, cost2){
+    if (cost1.terms != cost2.terms) return cost1.terms - cost2.terms;
+    return cost1.literals - cost2.literals;
 }
 
 
 /**
-* Returns, for a given n-cube, its corresponding term in the cover's logic function (HTML version).
-* Uses the binary strings related to each space covered by the n-cube, and compares them,
-* to know which logic variables are concerned, and in which state they are accepted.
+* Converts an implicant to an n-cube: the array of the spaces it covers in the K-Map.
 *
-* If the mouse is hovered on the term, its corresponding n-cube will light up on the K-Map.
+* The spaces are listed in the same order as makeCube would list them, starting from the n-cube's first (top-left-front) space,
+* so that the result can be used like the n-cubes of the pseudo-ESPRESSO algorithm.
 *
-* @method getFunctionHTML
-* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
-* @param cubeId {Integer} The place of the n-cube in the list of cubes, used to generate interactive HTML code.
-* @return {String} A string representing a term in the logic function, related to the n-cube.
+* @method implicantToCube
+* @param imp {Object} An implicant {value, mask}.
+* @return {Array} An array of spaces representing the implicant's portion of the K-Map.
 */
-function getFunctionHTML(nCube, cubeId){
-	var ref = toBinString(bitOrd[nCube[0][2]],KMap.nLevels-1) + toBinString(bitOrd[nCube[0][0]],KMap.nVarX) + toBinString(bitOrd[nCube[0][1]],KMap.nVarY);
-	var logicFunct = [];
-	for(var x=0; x<ref.length; x++) logicFunct[x] = parseInt(ref[x]);
-	//N-cubes containing just one space will have a term given by a single binary string.
-	//The term from the first space is thus stored in logicFunct.
-	if (nCube.length >= 2){
-		//If the n-cube in fact covers more than one space, we compare the binary strings of new spaces with logicFunct.
-		//Whenever in those strings we find a bit that differs from the correspondent one in logicFunct, it is overwritten with a "2".
-		for (var i=1; i<nCube.length; i++){
-			ref = toBinString(bitOrd[nCube[i][2]],KMap.nLevels-1) + toBinString(bitOrd[nCube[i][0]],KMap.nVarX) + toBinString(bitOrd[nCube[i][1]],KMap.nVarY);
-			for (var j=0; j<ref.length; j++){
-				if (logicFunct[j] != parseInt(ref[j])) logicFunct[j] = 2;
-		}}
-	}
-	//From the final version of logicFunct, we build the expression of the term with letters.
-	//If the bit corresponding to a logic variable A is 0, we write notA. If it is 1, we write A.
-	//If it is 2, we don't write anything (meaning we don't care about the variable A).
-	var funct = "<span ID=" + cubeId;
-    funct += " onMouseOver='setColor(nCubeList["+cubeId+"],selectColor);'";
-    funct += " onMouseOut='setColor(nCubeList["+cubeId+"],normalColor);'>";
-    var wholeMap = true;
-	for (var k=0; k<logicFunct.length; k++){
-		if (logicFunct[k] === 0){
-			wholeMap = false;
-			funct += "<span style='text-decoration: overline'>" + varNames[k] + "</span>";
-		}
-		else if (logicFunct[k] == 1){
-			wholeMap = false;
-			funct += varNames[k];
-		}
-	}
-	if (wholeMap) funct += "1";
-    else funct += "</span>";
-	return funct;
-}
+KMap.prototype.implicantToCube = function(imp){
+    var axisSizes = this.getAxisSizes();
+    var used = [];
+    for (var a=0; a<axisSizes.length; a++) used[a] = [];
+    for (var m=0; m<this.Coords.length; m++){
+        if (implicantCovers(imp, m)){
+            var position = this.Coords[m].slice(0,2).concat(this.getLevelPositions(this.Coords[m][2]));
+            for (var b=0; b<axisSizes.length; b++) used[b][position[b]] = true;
+        }
+    }
+    var coords = []; var sizes = [];
+    for (var x=0; x<axisSizes.length; x++){
+        var positions = [];
+        for (var pos=0; pos<axisSizes[x]; pos++){ if (used[x][pos]) positions.push(pos); }
+        sizes[x] = positions.length;
+        //The first space is the one whose predecessor (going back around the map if needed) is not part of the n-cube.
+        coords[x] = 0;
+        if (positions.length < axisSizes[x]){
+            for (var y=0; y<positions.length; y++){
+                if (!used[x][(positions[y]+axisSizes[x]-1)%axisSizes[x]]) coords[x] = positions[y];
+            }
+        }
+    }
+    return this.makeCube(coords, sizes);
+};
 
 
 /**
-* Generates a new HTML code for the K-Map's solution (a logic function that expresses its cover by the n-cubes).
+* Converts an n-cube to an implicant, by comparing the minterms of the spaces it covers.
 *
-* @method generateSolutionHTML
-* @return {String} The new HTML code to show the cover's logic function.
+* @method cubeToImplicant
+* @param nCube {Array} An array of spaces representing an n-cube's portion of the K-Map.
+* @return {Object} The corresponding implicant {value, mask}.
 */
-function generateSolutionHTML(){
-    setAllToNormalColor(); //Before anything, we set the K-Map's overal color to its normal, non-selected state.
-    EspressoSolve();
-    var text = "<h4><center>K-Map cover function:</center></h4>";
-    text+="<h2><center>F(";
-    for (var x=0; x<(KMap.nVarX+KMap.nVarY+KMap.nLevels-1); x++){
-        text += varNames[x]; if(x!=(KMap.nVarX+KMap.nVarY+KMap.nLevels-2)) text += ",";
-    }
-    text+=") = ";
-    if (nCubeList.length === 0){ text += "0"; } //Case where no spaces are covered.
-    else{ for (var i=0; i<nCubeList.length; i++){
-        text += getFunctionHTML(nCubeList[i], i);
-        if (i<nCubeList.length-1) text += " + ";
-        //Code used for testing purposes, to express the cover as a list of n-cubes, rather than a function.
-        /*
-        text+="<li>n-cube #" + i + " : ";
-        for(var j=0; j<nCubeList[i].length; j++){
-            text +="(" + toBinString (bitOrd[nCubeList[i][j][0]],KMap.nVarX);
-            text += toBinString (bitOrd[nCubeList[i][j][1]],KMap.nVarY) + ") ";
-        }
-        text+="</li>\n";
-        */
-    }}
-    text+="</center></h2>";
-    text+="<center><small>PROTIP: Hover the mouse over each term in the equation to lighten up the corresponding n-cube.</small></center>";
+KMap.prototype.cubeToImplicant = function(nCube){
+    var first = this.Map[nCube[0][2]][nCube[0][0]][nCube[0][1]].Minterm;
+    var mask = 0;
+    for (var i=1; i<nCube.length; i++){
+        mask |= first ^ this.Map[nCube[i][2]][nCube[i][0]][nCube[i][1]].Minterm;
+    }
+    return {value: first & ~mask, mask: mask};
+};
 
-    return text;
-}
+
+/**
+* Calculates the cost of a list of n-cubes, as its number of terms and its total number of literals.
+*
+* @method getCoverCost
+* @param nCubeArray {Array} An array of arrays, each representing an n-cube's portion of the K-Map.
+* @return {Object} The cost, as an object {terms, literals}.
+*/
+KMap.prototype.getCoverCost = function(nCubeArray){
+    return getImplicantsCost(nCubeArray.map(this.cubeToImplicant, this), this.numVar);
+};
 
 
-//----------------------------------------------------------------------------------
-//-----------------------FUNCTIONS FOR PRODUCING THE LATEX CODE---------------------
-//----------------------------------------------------------------------------------
+/**
+* Calculates a cover of minimal cost for the current state of the K-Map,
+* with the Quine-McCluskey algorithm followed by Petrick's method.
+* For a product of sums, the 0 values (maxterms) are covered instead of the 1 values.
+*
+* Resets the lists of n-cubes and of covered spaces, and fills them with the first minimal cover found.
+* The prime implicants, the essential ones, and every minimal cover found are kept in primeImplicants, essentialPrimes and minimalCovers,
+* wether the list of minimal covers was cut short (see PetrickCovers) in coversTruncated,
+* and wether the search for the minimal cost could finish within maxExactSteps steps in coversMinimal.
+*
+* @method ExactSolve
+*/
+KMap.prototype.ExactSolve = function(){
+    var lists = this.getMintermLists();
+    var targets = (this.getTargetValue() === 1) ? lists.ones : lists.zeros;
+    this.primeImplicants = QMPrimeImplicants(targets, this.allowDC ? lists.dontCares : []);
+    this.essentialPrimes = findEssentialPrimes(this.primeImplicants, targets);
+    //Each step of the search costs more as Petrick's function grows (see maxExactSteps).
+    var scale = Math.max(1, Math.pow(this.primeImplicants.length/256, 2) * targets.length/256);
+    var petrick = PetrickCovers(this.primeImplicants, targets, this.numVar, undefined, Math.ceil(maxExactSteps / scale));
+    this.minimalCovers = petrick.covers;
+    this.coversTruncated = petrick.truncated;
+    this.coversMinimal = petrick.minimal;
+    this.nCubeList = this.coverToCubes(this.minimalCovers[0]);
+    this.coverList = getCoverList(this.nCubeList);
+};
+
 
 /**
- * Writes a string of LaTeX code to use as the document's header.
- * This sets the proper LaTeX configuration to display the K-Map.
+* Converts a cover made of prime implicants to a list of n-cubes.
+* The n-cubes are sorted by the position of their first space, like the pseudo-ESPRESSO n-cubes.
+*
+* @method coverToCubes
+* @param cover {Array} The cover, as an array of indexes in primeImplicants.
+* @return {Array} The n-cubes of the cover.
+*/
+KMap.prototype.coverToCubes = function(cover){
+    var self = this;
+    return this.implicantsToCubes(cover.map(function(p){ return self.primeImplicants[p]; }));
+};
+
+
+/**
+* Converts a list of implicants to a list of n-cubes, sorted by the position of their first space like the pseudo-ESPRESSO n-cubes.
+*
+* @method implicantsToCubes
+* @param imps {Array} The implicants, as objects {value, mask}.
+* @return {Array} The n-cubes of the implicants.
+*/
+KMap.prototype.implicantsToCubes = function(imps){
+    var nCubes = imps.map(this.implicantToCube, this);
+    nCubes.sort(function(c1, c2){
+        return (c1[0][2]-c2[0][2]) || (c1[0][1]-c2[0][1]) || (c1[0][0]-c2[0][0]);
+    });
+    return nCubes;
+};
+
+
+/**
+* Shows one of the minimal covers of the K-Map as its solution, switching to the exact engine if needed.
+* The first minimal cover is shown again whenever the K-Map is solved again.
+*
+* @method selectCover
+* @param index {Integer} The place of the cover in minimalCovers.
+*/
+KMap.prototype.selectCover = function(index){
+    if (this.solverEngine != "exact"){ this.solverEngine = "exact"; this.solved = false; }
+    this.update();
+    if (!(index >= 0 && index < this.minimalCovers.length)) throw new RangeError("There is no minimal cover number " + index + ".");
+    this.selectedCover = index;
+    this.nCubeList = this.coverToCubes(this.minimalCovers[index]);
+    this.coverList = getCoverList(this.nCubeList);
+};
+
+
+/**
+ * The solutions of the last K-Maps solved (see solve), by their number of variables, form and values,
+ * so that a K-Map brought back to an earlier state is not solved again. The oldest solutions are dropped past maxCachedSolutions.
  *
- * @method writeDocHeader
- * @return {String} The LaTeX code for displaying the n-cubes.
+ * @property solutionCache
+ * @type {Object}
  */
-function writeDocHeader(){
-    var code = "\\documentclass[a4paper,10pt]{ltxdoc}\n";
-    code += "\\usepackage[a4paper]{geometry}\n\n";
-    code += "\\usepackage[scaled=0.92]{helvet}\n";
-    code += "\\usepackage{sansmath}\n";
-    code += "\\usepackage{color}\n";
-    code += "\\usepackage{float}\n";
-    code += "\\usepackage{listings}\n";
-    code += "\\usepackage{array}\n\n";
-    code += "\\usepackage{askmaps}\n\n";
+var solutionCache = {keys: [], solutions: {}};
 
-    code += "\\definecolor{red}{rgb}{1,0,0}\n";
-    code += "\\definecolor{green}{rgb}{0,1,0}\n";
-    code += "\\definecolor{blue}{rgb}{0,0,1}\n";
-    code += "\\definecolor{darkred}{rgb}{0.5,0,0}\n";
-    code += "\\definecolor{darkgreen}{rgb}{0,0.5,0}\n";
-    code += "\\definecolor{darkblue}{rgb}{0,0,0.5}\n";
-    code += "\\definecolor{yellow}{rgb}{1,1,0}\n";
-    code += "\\definecolor{cyan}{rgb}{0,1,1}\n";
-    code += "\\definecolor{magenta}{rgb}{1,0,1}\n";
-    code += "\\definecolor{gray}{rgb}{0.5,0.5,0.5}\n";
-    code += "\\definecolor{orange}{rgb}{1,0.5,0}\n";
-    code += "\\definecolor{aqua}{rgb}{0,1,0.5}\n";
-    code += "\\definecolor{purple}{rgb}{0.5,0,1}\n";
-    code += "\\definecolor{fuschia}{rgb}{1,0,0.5}\n";
-    code += "\\definecolor{lime}{rgb}{0.5,1,0}\n";
-    code += "\\definecolor{azur}{rgb}{0,0.5,1}\n";
 
-    return code;
+/**
+* Returns a copy of a solution of solutionCache (see solve), sharing no array or object with it,
+* so that the K-Maps using the same solution stay independent from the cache and from each other.
+*
+* @method copySolution
+* @param solution {Object} The solution.
+* @return {Object} The copy of the solution.
+*/
+function copySolution(solution){
+    var copySpaces = function(spaces){ return spaces.map(function(space){ return space.slice(); }); };
+    var copyCubes = function(nCubes){ return nCubes.map(copySpaces); };
+    var copyCost = function(cost){ return cost && {terms: cost.terms, literals: cost.literals}; };
+    var exact = solution.exact && {
+        cubes: copyCubes(solution.exact.cubes), cover: copySpaces(solution.exact.cover),
+        primeImplicants: solution.exact.primeImplicants.map(function(imp){ return {value: imp.value, mask: imp.mask}; }),
+        essentialPrimes: solution.exact.essentialPrimes.slice(),
+        minimalCovers: solution.exact.minimalCovers.map(function(cover){ return cover.slice(); }),
+        coversTruncated: solution.exact.coversTruncated, coversMinimal: solution.exact.coversMinimal
+    };
+    return {
+        espressoCubes: copyCubes(solution.espressoCubes), espressoCover: copySpaces(solution.espressoCover), exact: exact,
+        engineCosts: {espresso: copyCost(solution.engineCosts.espresso), exact: copyCost(solution.engineCosts.exact)}
+    };
 }
 
 
 /**
-* Returns, for a given n-cube, its corresponding term in the cover's logic function (text version).
-* Uses the binary strings related to each space covered by the n-cube, and compares them,
-* to know which logic variables are concerned, and in which state they are accepted.
+* Returns the key of the K-Map in solutionCache: its number of variables, its form, wether it allows for "don't care" symbols, and its values.
 *
-* @method getFunctionText
-* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
-* @param cubeId {Integer} The place of the n-cube in the list of cubes, used to generate interactive HTML code.
-* @return {String} A string representing a term in the logic function, related to the n-cube.
+* @method getSolutionKey
+* @return {String} The key of the K-Map's solution.
 */
-function getFunctionText(nCube, cubeId){
-    var ref = toBinString(bitOrd[nCube[0][2]],KMap.nLevels-1) + toBinString(bitOrd[nCube[0][0]],KMap.nVarX) + toBinString(bitOrd[nCube[0][1]],KMap.nVarY);
-	var logicFunct = [];
-    for(var x=0; x<ref.length; x++) logicFunct[x] = parseInt(ref[x]);
-    if (nCube.length >= 2){
-        for (var i=1; i<nCube.length; i++){
-			ref = toBinString(bitOrd[nCube[i][2]],KMap.nLevels-1) + toBinString(bitOrd[nCube[i][0]],KMap.nVarX) + toBinString(bitOrd[nCube[i][1]],KMap.nVarY);
-			for (var j=0; j<ref.length; j++){
-				if (logicFunct[j] != parseInt(ref[j])) logicFunct[j] = 2;
-	}}}
-
-    var funct = ""; var wholeMap = true;
-	for (var k=0; k<logicFunct.length; k++){
-		if (logicFunct[k] === 0){
-			wholeMap = false; funct += "\\overline{" + varNames[k] + "}";
-		}
-        else if (logicFunct[k] == 1){
-			wholeMap = false; funct += varNames[k];
-		}
-	}
-	if (wholeMap) funct += "1";
-	return funct;
-}
+KMap.prototype.getSolutionKey = function(){
+    var values = [];
+    for (var m=0; m<this.Coords.length; m++) values.push(this.get(m));
+    return this.numVar + "/" + this.solutionForm + "/" + this.allowDC + "/" + values.join("");
+};
 
 
 /**
-* Writes the K-Map's solution (a logic function that expresses its cover by the n-cubes) as a string of text.
+* Solves the K-Map with the selected engine (solverEngine), keeping its cover in nCubeList, and the costs of the covers found in engineCosts.
+* The pseudo-ESPRESSO cover is always found, while the slower exact method is only used for the exact engine, or when asked for (see exactSolved).
+* The solutions are kept in solutionCache, the K-Map getting its own copy (see copySolution).
 *
-* @method writeLogicFunction
-* @return {String} The cover's logic function as a string of text.
+* @method solve
+* @param [exact=false] {Boolean} Wether to use the exact method even when the pseudo-ESPRESSO engine is selected.
+* @return {Array} The list of n-cubes of the cover (nCubeList).
 */
-function writeLogicFunction(){
-    var text = "F(";
-    for (var x=0; x<(KMap.nVarX+KMap.nVarY+KMap.nLevels-1); x++){
-        text += varNames[x]; if(x!=(KMap.nVarX+KMap.nVarY+KMap.nLevels-2)) text += ",";
+KMap.prototype.solve = function(exact){
+    this.selectedCover = 0;
+    this.espressoSteps = null;
+    var key = this.getSolutionKey();
+    var solution = solutionCache.solutions[key];
+    if (solution) solution = copySolution(solution);
+    else{
+        this.EspressoSolve();
+        solution = {espressoCubes: this.nCubeList, espressoCover: this.coverList, exact: null,
+                    engineCosts: {espresso: this.getCoverCost(this.nCubeList), exact: null}};
+        solutionCache.solutions[key] = copySolution(solution);
+        solutionCache.keys.push(key);
+        if (solutionCache.keys.length > maxCachedSolutions) delete solutionCache.solutions[solutionCache.keys.shift()];
     }
-    text+=")=";
-    if (nCubeList.length === 0){ text += "0"; } //Case where no spaces are covered.
-    else{ for (var i=0; i<nCubeList.length; i++){
-        text += getFunctionText(nCubeList[i], i);
-        if (i<nCubeList.length-1) text += "+";
-    }}
-    return text;
-}
+    if (solution.exact === null && (exact || this.solverEngine == "exact")){
+        this.ExactSolve();
+        solution.exact = {cubes: this.nCubeList, cover: this.coverList, primeImplicants: this.primeImplicants, essentialPrimes: this.essentialPrimes,
+                          minimalCovers: this.minimalCovers, coversTruncated: this.coversTruncated, coversMinimal: this.coversMinimal};
+        solution.engineCosts.exact = this.getCoverCost(this.nCubeList);
+        solutionCache.solutions[key] = copySolution(solution);
+    }
+    this.engineCosts = solution.engineCosts;
+    this.exactSolved = (solution.exact !== null);
+    var exactSolution = solution.exact || {primeImplicants: [], essentialPrimes: [], minimalCovers: [], coversTruncated: false, coversMinimal: true};
+    this.primeImplicants = exactSolution.primeImplicants; this.essentialPrimes = exactSolution.essentialPrimes; this.minimalCovers = exactSolution.minimalCovers;
+    this.coversTruncated = exactSolution.coversTruncated; this.coversMinimal = exactSolution.coversMinimal;
+    if (this.solverEngine == "espresso"){
+        this.nCubeList = solution.espressoCubes; this.coverList = solution.espressoCover;
+    }
+    else{
+        this.nCubeList = solution.exact.cubes; this.coverList = solution.exact.cover;
+    }
+    this.solved = true;
+    return this.nCubeList;
+};
 
 
 /**
- * Finds, for an n-cube, the lowest or highest value for a space's for width, length, or depth, depending on the parameters.
- *
- * @method findExCoord
- * @param nCube {Array} An array of spaces, representing an n-cube's portion of the K-Map.
- * @param ex {Integer} The kind of extreme requested. Set to 0 for lowest, 1 for highest.
- * @param coord {Integer} The kind of coordinate. Set to 0 for width, 1 for height, 2 for depth.
- * @return {Integer} The lowest or highest such coordinate found in in the the n-cube.
- */
-function findExCoord(nCube,ex,coord){
-    var size;
-    switch(ex){
-        case 0: size = 4; break;
-        case 1: size = 0; break;
-    }
-    for (var i=0; i<nCube.length; i++){ switch(ex){
-            case 0: if (size > nCube[i][coord]) size = nCube[i][coord]; break;
-            case 1: if (size < nCube[i][coord]) size = nCube[i][coord]; break;
-    }}
-    return size;
-}
+* Solves the K-Map, unless its cover is already up to date.
+*
+* @method update
+*/
+KMap.prototype.update = function(){
+    if (!this.solved) this.solve();
+};
 
 
 /**
- * Writes a string of LaTeX code to display the n-cubes in the K-Map.
- *
- * @method writeNCubes
- * @return {String} The LaTeX code for displaying the n-cubes.
- */
-function writeNCubes(){
-    var colors = ["red","green","blue","yellow","cyan","magenta","darkred","darkgreen","darkblue","gray","orange","fuschia","azur","purple","aqua","lime"];
-    var code = "\n";
-    var goesOutW; //If the n-cube goes out of the K-Map and back in, widthwise.
-    var goesOutH; //If the n-cube goes out of the K-Map and back in, heightwise.
-    if (nCubeList.length !== 0){ for (var i=0; i<nCubeList.length; i++){
-        goesOutW = (nCubeList[i][0][0]==3 && findExCoord(nCubeList[i],0,0)===0);
-        goesOutH = (nCubeList[i][0][1]==3 && findExCoord(nCubeList[i],0,1)===0);
-        for(var d=0; d<2; d++){ if (findExCoord(nCubeList[i],d,2)==d){
-            //For each depth level of the n-cube, if it exists.
-            code += "\\color{" + colors[i%16] + "}";
-            code += "\\put("+(4*d+nCubeList[i][0][0])+","+(KMap.Height-1-findExCoord(nCubeList[i],1,1))+".1)";
-            if(goesOutW && goesOutH){
-                code += "{\\dashbox{0.2}(0.8,0.8){}}\n";
-                code += "\\color{" + colors[i%16] + "}\\put("+(4*d)+",0.1){\\dashbox{0.2}(0.8,0.8){}}\n";
-                code += "\\color{" + colors[i%16] + "}\\put("+(4*d+3)+",3.1){\\dashbox{0.2}(0.8,0.8){}}\n";
-                code += "\\color{" + colors[i%16] + "}\\put("+(4*d)+",3.1){\\dashbox{0.2}(0.8,0.8){}}\n";
-            }else if(goesOutW){
-                code += "{\\dashbox{0.2}(0.8,"+(findExCoord(nCubeList[i],1,1)-findExCoord(nCubeList[i],0,1))+".8){}}\n";
-                code += "\\color{" + colors[i%16] + "}\\put("+(4*d)+","+(3-findExCoord(nCubeList[i],1,1))+".1)";
-                code += "{\\dashbox{0.2}(0.8,"+(findExCoord(nCubeList[i],1,1)-findExCoord(nCubeList[i],0,1))+".8){}}\n";
-            }else if(goesOutH){
-                code += "{\\dashbox{0.2}("+(findExCoord(nCubeList[i],1,0)-findExCoord(nCubeList[i],0,0))+".8,0.8){}}\n";
-                code += "\\color{" + colors[i%16] + "}\\put("+(4*d+nCubeList[i][0][0])+",3.1)";
-                code += "{\\dashbox{0.2}("+(findExCoord(nCubeList[i],1,0)-findExCoord(nCubeList[i],0,0))+".8,0.8){}}\n";
-            }else{
-                code += "{\\dashbox{0.2}("+(findExCoord(nCubeList[i],1,0)-findExCoord(nCubeList[i],0,0))+".8,";
-                code += (findExCoord(nCubeList[i],1,1)-findExCoord(nCubeList[i],0,1))+".8){}}\n";
-            }
-        }}
-    }}
-    return code;
-}
+* Solves the K-Map with the exact method as well, whatever its engine, unless its prime implicants and minimal covers are already up to date (see exactSolved).
+*
+* @method updateExact
+*/
+KMap.prototype.updateExact = function(){
+    if (!this.solved || !this.exactSolved) this.solve(true);
+};
+
 
+//----------------------------------------------------------------------------------
+//-------------------FUNCTIONS FOR CREATING AND MANAGING K-MAPS---------------------
+//----------------------------------------------------------------------------------
 
 /**
- * Generates a LaTeX document containing a representation of the K-Map.
+ * Resets and rebuilds the KMap matrix and its attributes, with a given number of logic variables.
+ * An output keeping its default name, or whose name becomes the name of a variable, is given the default name for the new variables (see defaultOutputName).
  *
- * @method generateLaTeXCode
- * @return {String} The LaTeX code that represents the K-Map.
+ * @method init
+ * @param nVar {Integer} The number of variables for the map.
  */
-function generateLaTeXCode(){
-    var code = "{\\fontfamily{phv}\\selectfont\\sansmath\n";
-    code += "\\askmap";
+KMap.prototype.init = function(nVar){
+    if (!(nVar >= 2 && nVar < KLvl.length)) throw new RangeError("The number of variables must be between 2 and " + (KLvl.length-1) + ".");
+    var names = this.varNames.slice(0, nVar);
+    var isDefault = (this.outputName === undefined || this.outputName == defaultOutputName(this.varNames.slice(0, this.numVar)));
+    if (isDefault || names.indexOf(this.outputName) != -1) this.outputName = defaultOutputName(names);
+    this.numVar = nVar;
+    this.solved = false;
+    this.Map = [];
+    this.nLevels = KLvl[nVar];
+    this.Width = KWid[nVar];
+    this.Height = KHei[nVar];
+    this.nVarX = KVarX[nVar];
+    this.nVarY = KVarY[nVar];
+    this.nVarLvl = nVar - this.nVarX - this.nVarY; // Number of level variables.
+    this.LvlAxes = KLvlAxes[nVar];
+    this.Coords = []; // Coordinates of each space, indexed by minterm.
+    var valueStr, value;
+    for (var d=0; d<this.nLevels; d++){
+        this.Map[d] = [];
+        for (var w=0; w<this.Width; w++){
+    		this.Map[d][w] = [];
+    		for (var h=0; h<this.Height; h++){
+    			this.Map[d][w][h] = [];
+    			this.Map[d][w][h].Value = 0; // False is default
+    			valueStr = this.getSpaceBits(w,h,d);
+    			value = parseInt(valueStr,2);
 
-    //Number of variables.
-    switch(numVar){
-        case 2: code += "ii"; break;
-        case 3: code += "iii"; break;
-        case 4: code += "iv"; break;
-        case 5: code += "v"; break;
+    			this.Map[d][w][h].Minterm = value;
+    			this.Map[d][w][h].Button_id = "KM" + valueStr;
+    			this.Map[d][w][h].TD_id = "TD" + valueStr;
+    			this.Map[d][w][h].Row_id = "TT" + valueStr;
+    			this.Coords[value] = [w,h,d];
+    	}}
     }
-    code += "{$";
+    //The bits given to the minterms by each position along each axis: those of the space at that position, the other axes being at their first position.
+    var axisSizes = this.getAxisSizes();
+    this.AxisBits = axisSizes.map(function(size){ return []; });
+    for (var m=0; m<this.Coords.length; m++){
+        var position = this.Coords[m].slice(0,2).concat(this.getLevelPositions(this.Coords[m][2]));
+        for (var a=0; a<axisSizes.length; a++){
+            var others = position.filter(function(pos, b){ return b != a && pos !== 0; });
+            if (others.length === 0) this.AxisBits[a][position[a]] = m;
+        }
+    }
+};
 
-    //Solution (logic function).
-    code += writeLogicFunction();
-    code += "$}{";
 
-    //Variable names.
-    for (var x=0; x<(KMap.nVarX+KMap.nVarY+KMap.nLevels-1); x++) code += varNames[x];
-    code += "}{}{";
+/**
+* Returns the space of the K-Map that corresponds to a given minterm.
+*
+* @method getSpace
+* @param cell {Integer} The minterm of the space (0 to 2^numVar - 1).
+* @return {Array} The entry of the K-Map for that space.
+*/
+KMap.prototype.getSpace = function(cell){
+    if (!(cell >= 0 && cell < this.Coords.length && cell % 1 === 0)) throw new RangeError("Cell " + cell + " is outside of the K-Map (0 to " + (this.Coords.length-1) + ").");
+    var coords = this.Coords[cell];
+    return this.Map[coords[2]][coords[0]][coords[1]];
+};
 
-    //Content of the K-Map.
-    for (d=0; d<KMap.nLevels; d++){
-    for (w=0; w<KMap.Width; w++){
-    for (h=0; h<KMap.Height; h++){
-    	code += boolToBin(KMap[bitOrd[d]][bitOrd[w]][bitOrd[h]].Value);
-    }}}
-    code += "}{";
 
-    code += writeNCubes();
-    code += "}}\n\n";
+/**
+* Returns the value held by a space of the K-Map.
+*
+* @method get
+* @param cell {Integer} The minterm of the space.
+* @return {Integer} The value of the space: 0 (false), 1 (true) or 2 (don't care).
+*/
+KMap.prototype.get = function(cell){
+    return this.getSpace(cell).Value;
+};
+
+
+/**
+* Sets the value held by a space of the K-Map.
+*
+* @method set
+* @param cell {Integer} The minterm of the space.
+* @param value {Integer} The new value of the space: 0 (false), 1 (true) or 2 (don't care, only if allowDC).
+*/
+KMap.prototype.set = function(cell, value){
+    var space = this.getSpace(cell);
+    if (value !== 0 && value !== 1 && value !== 2) throw new RangeError("Invalid value " + value + " for cell " + cell + " (expected 0, 1 or 2).");
+    if (value === 2 && !this.allowDC) throw new RangeError("Cell " + cell + " cannot hold a \"don't care\" value, since they are not allowed in this K-Map.");
+    if (space.Value === value) return;
+    space.Value = value;
+    this.solved = false;
+};
+
+
+/**
+* Sets wether the K-Map allows for "don't care" symbols or not.
+* When they are no longer allowed, the "don't care" values are set back to 0.
+*
+* @method setDontCare
+* @param allowed {Boolean} Wether "don't care" symbols are allowed.
+*/
+KMap.prototype.setDontCare = function(allowed){
+    this.allowDC = allowed;
+    for (var d=0; d<this.nLevels; d++){
+    for (var w=0; w<this.Width; w++){
+    for (var h=0; h<this.Height; h++){
+        if(!allowed && this.Map[d][w][h].Value === 2) this.Map[d][w][h].Value = 0;
+    }}}
+    this.solved = false;
+};
+
+
+/**
+* Sets every space of the K-Map to the same value.
+*
+* @method fill
+* @param value {Integer} The new value of the spaces: 0 (false), 1 (true) or 2 (don't care, only if allowDC).
+*/
+KMap.prototype.fill = function(value){
+    for (var m=0; m<this.Coords.length; m++) this.set(m, value);
+};
+
+
+/**
+* Inverts the K-Map: the 0 values become 1 and the 1 values become 0, so that it holds the complement of its function.
+* The "don't care" values are kept.
+*
+* @method invert
+*/
+KMap.prototype.invert = function(){
+    for (var m=0; m<this.Coords.length; m++){
+        var value = this.get(m);
+        if (value !== 2) this.set(m, 1 - value);
+    }
+};
+
+
+/**
+* Sets the spaces of the K-Map that are not set (those holding 0) to "don't care", allowing for "don't care" symbols if needed.
+*
+* @method fillUnset
+*/
+KMap.prototype.fillUnset = function(){
+    this.allowDC = true;
+    for (var m=0; m<this.Coords.length; m++){
+        if (this.get(m) === 0) this.set(m, 2);
+    }
+};
+
+
+/**
+* Moves the values of the K-Map through a permutation of its minterms.
+*
+* @method permute
+* @param move {Function} The function giving, for a minterm, the minterm its value is moved to.
+*/
+KMap.prototype.permute = function(move){
+    var values = [];
+    for (var m=0; m<this.Coords.length; m++) values[move(m)] = this.get(m);
+    for (m=0; m<this.Coords.length; m++) this.set(m, values[m]);
+};
+
+
+/**
+* Rotates the variables of the K-Map: the values are moved so that each variable plays the part of the next one
+* (the last one taking the part of the first one), the names of the variables being kept.
+* With the variables A, B and C, the function F(A,B,C) becomes F(B,C,A).
+*
+* @method rotateVariables
+* @param [offset=1] {Integer} The number of places the variables are rotated by (a negative offset rotates them the other way).
+*/
+KMap.prototype.rotateVariables = function(offset){
+    if (offset === undefined) offset = 1;
+    var nVar = this.numVar;
+    var shift = ((offset % nVar) + nVar) % nVar;
+    //The bit of the first variable is the highest one: rotating the bits to the right moves each variable to the next place.
+    this.permute(function(m){ return ((m >> shift) | (m << (nVar - shift))) & ((1 << nVar) - 1); });
+};
+
+
+/**
+* Shifts the K-Map by one variable: each value is swapped with the one of the minterm where the variable is complemented,
+* which moves the map by half of the variable's axis (the function F(A,B,C) becomes F(A',B,C) when shifting by A).
+*
+* @method shiftVariable
+* @param index {Integer} The index of the variable (0 for the first one).
+*/
+KMap.prototype.shiftVariable = function(index){
+    if (index < 0 || index >= this.numVar) throw new RangeError("The K-Map has no variable " + (index+1) + ".");
+    var bit = 1 << (this.numVar - 1 - index);
+    this.permute(function(m){ return m ^ bit; });
+};
+
+
+/**
+* Changes the form of the solution, between a sum of products ("SOP") and a product of sums ("POS").
+*
+* @method setForm
+* @param form {String} The new form of the solution, either "SOP" or "POS".
+*/
+KMap.prototype.setForm = function(form){
+    if (form != "SOP" && form != "POS") throw new RangeError("Unknown solution form \"" + form + "\" (expected SOP or POS).");
+    this.solutionForm = form;
+    this.solved = false;
+};
+
+
+/**
+* Changes the engine used to calculate the cover, between "espresso" and "exact".
+*
+* @method setEngine
+* @param engine {String} The new engine, either "espresso" or "exact".
+*/
+KMap.prototype.setEngine = function(engine){
+    if (engine != "espresso" && engine != "exact") throw new RangeError("Unknown engine \"" + engine + "\" (expected espresso or exact).");
+    this.solverEngine = engine;
+    this.solved = false;
+};
+
+
+/**
+* Changes the LaTeX package the K-Map's LaTeX code is written for.
+*
+* @method setLaTeXBackEnd
+* @param backEnd {String} The new package, one of latexBackEnds ("askmaps", "karnaugh-map" or "tikz").
+*/
+KMap.prototype.setLaTeXBackEnd = function(backEnd){
+    if (latexBackEnds.indexOf(backEnd) == -1) throw new RangeError("Unknown LaTeX back-end \"" + backEnd + "\" (expected " + latexBackEnds.join(", ") + ").");
+    this.latexBackEnd = backEnd;
+};
+
+
+/**
+* Renames the variables of the K-Map (see checkNames). The names of the variables beyond numVar are kept.
+*
+* @method setVarNames
+* @param names {Array} The new names, one for each variable.
+*/
+KMap.prototype.setVarNames = function(names){
+    if (!Array.isArray(names) || names.length != this.numVar) throw new RangeError("The K-Map must have " + this.numVar + " variable names.");
+    checkNames(names, this.outputName);
+    this.varNames = names.concat(this.varNames.slice(this.numVar));
+};
+
+
+/**
+* Renames the output of the K-Map (see checkNames).
+*
+* @method setOutputName
+* @param name {String} The new name of the output.
+*/
+KMap.prototype.setOutputName = function(name){
+    checkNames(this.varNames.slice(0, this.numVar), name);
+    this.outputName = name;
+};
+
+
+/**
+* Writes the names of a range of the K-Map's variables, as used for the headers of its axes (see formatName).
+* Single-letter names are written side by side ("AB"), longer ones are separated ("X_{2}\\,X_{1}" in LaTeX).
+*
+* @method writeVarNames
+* @param start {Integer} The index of the first variable.
+* @param end {Integer} The index following the last variable.
+* @param format {String} "text", "html" or "latex".
+* @return {String} The names of the variables.
+*/
+KMap.prototype.writeVarNames = function(start, end, format){
+    var names = this.varNames.slice(start, end);
+    var short = names.every(function(name){ return name.length == 1; });
+    var separators = {text: ",", html: " ", latex: "\\,"};
+    return names.map(function(name){ return formatName(name, format); }).join(short ? "" : separators[format]);
+};
+
+
+/**
+* Writes the values given to the variables by a minterm, such as "A = 0, B = 1, C = 1".
+*
+* @method writeAssignment
+* @param minterm {Integer} The minterm.
+* @param [format="text"] {String} "text", "html" or "latex" (see formatName).
+* @param [nVar=numVar] {Integer} The number of variables, for a function of more or fewer variables than the K-Map (see compareExpression).
+* @return {String} The value of each variable.
+*/
+KMap.prototype.writeAssignment = function(minterm, format, nVar){
+    if (nVar === undefined) nVar = this.numVar;
+    var bits = toBinString(minterm, nVar);
+    var values = [];
+    for (var k=0; k<nVar; k++) values.push(formatName(this.varNames[k], format || "text") + " = " + bits[k]);
+    return values.join(", ");
+};
+
+
+/**
+* Returns the logic function of the K-Map's cover as plain text, such as "F(A,B,C) = A'B + C".
+* Complemented variables are followed by a prime.
+*
+* @method toFunctionString
+* @return {String} The logic function of the cover.
+*/
+KMap.prototype.toFunctionString = function(){
+    this.update();
+    return this.writeLogicFunction("text");
+};
+
+
+/**
+* Returns the LaTeX code that displays the K-Map and its cover (see generateLaTeXCode).
+*
+* @method toLaTeX
+* @return {String} The LaTeX code for the K-Map.
+*/
+KMap.prototype.toLaTeX = function(){
+    this.update();
+    return this.generateLaTeXCode();
+};
+
+
+/**
+* Returns an independent copy of the K-Map, with the same settings and values.
+*
+* @method clone
+* @return {KMap} The copy of the K-Map.
+*/
+KMap.prototype.clone = function(){
+    var copy = new KMap(this.numVar, this.allowDC);
+    copy.solutionForm = this.solutionForm;
+    copy.solverEngine = this.solverEngine;
+    copy.latexBackEnd = this.latexBackEnd;
+    copy.varNames = this.varNames.slice();
+    copy.outputName = this.outputName;
+    copy.title = this.title;
+    copy.notes = this.notes;
+    for (var m=0; m<this.Coords.length; m++) copy.set(m, this.get(m));
+    return copy;
+};
+
+
+//----------------------------------------------------------------------------------
+//--------------------FUNCTIONS FOR MULTI-OUTPUT K-MAPS-----------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Finds an output by its name.
+*
+* @method findOutput
+* @param name {String} The name of the output.
+* @return {Integer} The place of the output in maps, or -1 if there is no such output.
+*/
+MultiKMap.prototype.findOutput = function(name){
+    for (var i=0; i<this.maps.length; i++){
+        if (this.maps[i].outputName == name) return i;
+    }
+    return -1;
+};
+
+
+/**
+* Checks that a name can be given to an output: it must be a valid name (see checkName), and not be the name of another output or of a variable.
+*
+* @method checkOutputName
+* @param name {String} The name.
+* @param index {Integer} The place of the output being named in maps (-1 for a new output).
+*/
+MultiKMap.prototype.checkOutputName = function(name, index){
+    checkName(name, "The output name");
+    var other = this.findOutput(name);
+    if (other != -1 && other != index) throw new RangeError("There is already an output named \"" + name + "\".");
+    if (this.maps.length > 0 && this.maps[0].varNames.slice(0, this.numVar).indexOf(name) != -1){
+        throw new RangeError("\"" + name + "\" is the name of a variable.");
+    }
+};
+
+
+/**
+* Adds an output, with an empty K-Map.
+*
+* @method addOutput
+* @param [name] {String} The name of the output (by default, the first free name among F1, F2...).
+* @return {KMap} The K-Map of the new output.
+*/
+MultiKMap.prototype.addOutput = function(name){
+    if (this.maps.length >= maxOutputs) throw new RangeError("There cannot be more than " + maxOutputs + " outputs.");
+    if (name === undefined){
+        var n = this.maps.length + 1;
+        while (this.findOutput("F" + n) != -1) n++;
+        name = "F" + n;
+    }
+    this.checkOutputName(name, -1);
+    var kmap = new KMap(this.numVar, this.allowDC);
+    kmap.setForm(this.solutionForm);
+    if (this.maps.length > 0) kmap.varNames = this.maps[0].varNames.slice();
+    kmap.outputName = name;
+    this.maps.push(kmap);
+    this.solved = false;
+    return kmap;
+};
+
+
+/**
+* Removes an output. There is always at least one output left.
+*
+* @method removeOutput
+* @param index {Integer} The place of the output in maps.
+*/
+MultiKMap.prototype.removeOutput = function(index){
+    if (!(index >= 0 && index < this.maps.length)) throw new RangeError("There is no output number " + index + ".");
+    if (this.maps.length == 1) throw new RangeError("The last output cannot be removed.");
+    this.maps.splice(index, 1);
+    this.solved = false;
+};
+
+
+/**
+* Renames an output (see checkOutputName).
+*
+* @method renameOutput
+* @param index {Integer} The place of the output in maps.
+* @param name {String} The new name of the output.
+*/
+MultiKMap.prototype.renameOutput = function(index, name){
+    if (!(index >= 0 && index < this.maps.length)) throw new RangeError("There is no output number " + index + ".");
+    this.checkOutputName(name, index);
+    this.maps[index].outputName = name;
+};
+
+
+/**
+* Replaces the K-Map of an output, which keeps its name. The K-Maps of the other outputs take the new one's number of variables
+* (being reset if it changes), "don't care" setting, solution form and variable names.
+* This is also how a change of these settings in the K-Map of one output is passed on to the others.
+*
+* @method setOutput
+* @param index {Integer} The place of the output in maps.
+* @param kmap {KMap} The new K-Map of the output.
+*/
+MultiKMap.prototype.setOutput = function(index, kmap){
+    if (!(index >= 0 && index < this.maps.length)) throw new RangeError("There is no output number " + index + ".");
+    if (this.maps[index] !== kmap){
+        kmap.outputName = this.maps[index].outputName;
+        this.maps[index] = kmap;
+        this.solved = false;
+    }
+    this.numVar = kmap.numVar;
+    this.allowDC = kmap.allowDC;
+    this.solutionForm = kmap.solutionForm;
+    for (var i=0; i<this.maps.length; i++){
+        var other = this.maps[i];
+        if (other.numVar != kmap.numVar) other.init(kmap.numVar);
+        if (other.allowDC != kmap.allowDC) other.setDontCare(kmap.allowDC);
+        if (other.solutionForm != kmap.solutionForm) other.setForm(kmap.solutionForm);
+        if (other !== kmap) other.varNames = kmap.varNames.slice();
+    }
+};
+
+
+/**
+* Resets the K-Maps of every output, with a given number of logic variables.
+*
+* @method init
+* @param nVar {Integer} The number of variables for the maps.
+*/
+MultiKMap.prototype.init = function(nVar){
+    for (var i=0; i<this.maps.length; i++) this.maps[i].init(nVar);
+    this.numVar = nVar;
+    this.solved = false;
+};
+
+
+/**
+* Sets wether the K-Maps of the outputs allow for "don't care" symbols or not (see KMap.setDontCare).
+*
+* @method setDontCare
+* @param allowed {Boolean} Wether "don't care" symbols are allowed.
+*/
+MultiKMap.prototype.setDontCare = function(allowed){
+    for (var i=0; i<this.maps.length; i++) this.maps[i].setDontCare(allowed);
+    this.allowDC = allowed;
+    this.solved = false;
+};
+
+
+/**
+* Changes the form of the solution of every output, between a sum of products ("SOP") and a product of sums ("POS").
+* The terms shared by the outputs are then sum clauses.
+*
+* @method setForm
+* @param form {String} The new form of the solution, either "SOP" or "POS".
+*/
+MultiKMap.prototype.setForm = function(form){
+    for (var i=0; i<this.maps.length; i++) this.maps[i].setForm(form);
+    this.solutionForm = form;
+    this.solved = false;
+};
+
+
+/**
+* Minimizes the outputs jointly, with the multi-output version of the exact method.
+*
+* The candidate terms are the prime implicants of the product of every set of outputs (a term of the product of F1 and F2
+* can be used by both): they include the prime implicants of each output. Petrick's method then picks the cheapest set of terms
+* such that each output is covered by the terms that are implicants of it. A term costs the same whatever the number of outputs using it,
+* so that sharing terms lowers the cost, and the joint cover is never more expensive than the outputs minimized alone.
+* Each output is finally connected to the terms it needs, leaving out those it could use but that cover nothing more.
+* The search is stopped after maxJointSteps steps, keeping the cheapest cover found, or the covers of the outputs minimized alone
+* if they are cheaper (minimal then tells that the cover may not be minimal).
+*
+* The joint cover of each output is kept in the nCubeList of its K-Map (each K-Map still holds its own prime implicants and minimal covers),
+* and the terms in terms.
+*
+* @method solve
+* @return {Array} The terms of the joint cover (terms).
+*/
+MultiKMap.prototype.solve = function(){
+    var n = this.maps.length, nVar = this.numVar, size = 1 << nVar;
+    var target = this.maps[0].getTargetValue();
+    //For each output and minterm: 1 if a term must cover it, 2 if a term may cover it ("don't care"), 0 if no term may cover it.
+    var needs = this.maps.map(function(kmap){
+        kmap.updateExact();
+        var row = [];
+        for (var m=0; m<size; m++) row[m] = (kmap.get(m) === target) ? 1 : (kmap.get(m) === 2) ? 2 : 0;
+        return row;
+    });
+
+    //The prime implicants of the product of each set of outputs, the sets being bits of an integer.
+    var candidates = [], keys = {}, products = {};
+    for (var set=1; set < (1 << n); set++){
+        var ones = [], dontCares = [];
+        for (var m=0; m<size; m++){
+            var all = true, some = false;
+            for (var i=0; i<n; i++){
+                if (!(set & (1 << i))) continue;
+                if (needs[i][m] === 0) all = false;
+                if (needs[i][m] === 1) some = true;
+            }
+            if (all && some) ones.push(m);
+            else if (all) dontCares.push(m);
+        }
+        var key = ones.join(",") + "/" + dontCares.join(",");
+        if (ones.length === 0 || products[key]) continue; //Several sets of outputs may have the same product.
+        products[key] = true;
+        QMPrimeImplicants(ones, dontCares).forEach(function(imp){
+            if (!keys[imp.value + "/" + imp.mask]){ keys[imp.value + "/" + imp.mask] = true; candidates.push(imp); }
+        });
+    }
+    //The outputs each candidate is an implicant of (it covers no value it must not cover, and at least one it must).
+    candidates.forEach(function(imp){
+        imp.outputs = [];
+        for (var i=0; i<n; i++){
+            var fits = true, useful = false;
+            for (var m=0; m<size && fits; m++){
+                if (!implicantCovers(imp, m)) continue;
+                if (needs[i][m] === 0) fits = false;
+                if (needs[i][m] === 1) useful = true;
+            }
+            if (fits && useful) imp.outputs.push(i);
+        }
+    });
+
+    //The rows of Petrick's function are the values to cover in each output.
+    var rows = [];
+    for (var r=0; r<n; r++){
+        for (var m2=0; m2<size; m2++){ if (needs[r][m2] === 1) rows.push({output: r, minterm: m2}); }
+    }
+    //Each step of the search costs more as Petrick's function grows (see maxJointSteps).
+    var scale = Math.max(1, Math.pow(candidates.length/256, 2) * rows.length/256);
+    var petrick = PetrickCovers(candidates, rows, nVar, function(imp, row){
+        return imp.outputs.indexOf(row.output) != -1 && implicantCovers(imp, row.minterm);
+    }, Math.ceil(maxJointSteps / scale), false);
+
+    //The covers of the outputs minimized alone, whose terms are among the candidates, are used when the search stops without a cheaper cover.
+    var separate = [], separateKeys = {};
+    for (var j=0; j<n; j++){
+        var kmap = this.maps[j];
+        kmap.minimalCovers[0].forEach(function(p){
+            var imp = kmap.primeImplicants[p];
+            if (!separateKeys[imp.value + "/" + imp.mask]){ separateKeys[imp.value + "/" + imp.mask] = true; separate.push(imp); }
+        });
+    }
+    var cover = petrick.covers[0];
+    var separateCover = separate.map(function(imp){
+        for (var c=0; c<candidates.length; c++){ if (candidates[c].value == imp.value && candidates[c].mask == imp.mask) return c; }
+    });
+    if (!petrick.minimal && (cover === undefined || compareCosts(getImplicantsCost(separate, nVar), getImplicantsCost(cover.map(function(c){ return candidates[c]; }), nVar)) <= 0)){
+        cover = separateCover.sort(function(x, y){ return x - y; });
+    }
+
+    //Each output uses the terms it needs, the terms with the most literals being left out first when they are redundant.
+    var terms = cover.map(function(c){ return {value: candidates[c].value, mask: candidates[c].mask, outputs: []}; });
+    var order = cover.map(function(c, t){ return t; });
+    order.sort(function(t1, t2){ return (countBits(terms[t1].mask) - countBits(terms[t2].mask)) || (t1 - t2); });
+    for (var o=0; o<n; o++){
+        var kept = order.filter(function(t){ return candidates[cover[t]].outputs.indexOf(o) != -1; });
+        for (var k=0; k<kept.length; k++){
+            var others = kept.slice(0, k).concat(kept.slice(k+1));
+            var redundant = true;
+            for (var m3=0; m3<size && redundant; m3++){
+                if (needs[o][m3] !== 1 || !implicantCovers(terms[kept[k]], m3)) continue;
+                redundant = others.some(function(t){ return implicantCovers(terms[t], m3); });
+            }
+            if (redundant){ kept = others; k--; }
+        }
+        kept.forEach(function(t){ terms[t].outputs.push(o); });
+    }
+    terms.sort(function(t1, t2){
+        return (t1.outputs[0] - t2.outputs[0]) || (t2.outputs.length - t1.outputs.length) || (t1.value - t2.value) || (t1.mask - t2.mask);
+    });
+
+    for (var j2=0; j2<n; j2++){
+        this.maps[j2].nCubeList = this.maps[j2].implicantsToCubes(terms.filter(function(term){ return term.outputs.indexOf(j2) != -1; }));
+        this.maps[j2].coverList = getCoverList(this.maps[j2].nCubeList);
+    }
+    this.terms = terms;
+    this.minimal = petrick.minimal;
+    this.costs = {joint: getImplicantsCost(terms, nVar), separate: getImplicantsCost(separate, nVar)};
+    this.solved = true;
+    return terms;
+};
+
+
+/**
+* Minimizes the outputs jointly, unless their covers are already up to date (see solve).
+*
+* @method update
+*/
+MultiKMap.prototype.update = function(){
+    if (!this.solved || this.maps.some(function(kmap){ return !kmap.solved; })) this.solve();
+};
+
+
+/**
+* Returns the logic function of each output's joint cover as plain text, one per line, such as "F1(A,B,C) = A'B + C".
+*
+* @method toFunctionString
+* @return {String} The logic functions of the outputs.
+*/
+MultiKMap.prototype.toFunctionString = function(){
+    this.update();
+    return this.maps.map(function(kmap){ return kmap.writeLogicFunction("text"); }).join("\n");
+};
+
+
+/**
+* Returns the terms of the joint cover shared by several outputs, as plain text, such as "A'B (F1, F2)".
+*
+* @method getSharedTerms
+* @return {Array} The shared terms, each followed by the outputs using it.
+*/
+MultiKMap.prototype.getSharedTerms = function(){
+    this.update();
+    var self = this, kmap = this.maps[0];
+    return this.terms.filter(function(term){ return term.outputs.length > 1; }).map(function(term){
+        var outputs = term.outputs.map(function(i){ return self.maps[i].outputName; });
+        return kmap.getFunctionText(kmap.implicantToCube(term), "text") + " (" + outputs.join(", ") + ")";
+    });
+};
+
+
+//----------------------------------------------------------------------------------
+//-------------------FUNCTIONS FOR READING AND WRITING MINTERM LISTS----------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Reads a list of indexes written between parentheses, such as "0,2,5,7".
+*
+* @method parseIndexList
+* @param list {String} The content of the parentheses.
+* @param name {String} The name of the list, used in error messages (such as "Σm").
+* @return {Array} The indexes, as an array of integers.
+*/
+function parseIndexList(list, name){
+    var indexes = [];
+    if (list.trim() === "") return indexes;
+    var items = list.split(",");
+    for (var i=0; i<items.length; i++){
+        var item = items[i].trim();
+        if (!/^[0-9]+$/.test(item)) throw new SyntaxError("Invalid index \"" + item + "\" in " + name + "(...): indexes must be non-negative integers.");
+        indexes.push(parseInt(item, 10));
+    }
+    return indexes;
+}
+
+
+/**
+* Reads a function written as a list of minterms or maxterms, with optional "don't care" indexes,
+* such as "F(A,B,C,D) = Σm(0,2,5,7,13) + d(1,15)" or "ΠM(1,3,4) · d(6)".
+* The list may also be written "sum m(...)", "m(...)", "prod M(...)" or "M(...)".
+*
+* The number of variables is the number of names in the function's header when there is one,
+* and otherwise the smallest number of variables (at least 2) that holds the largest index.
+* The names of the header's output and variables are checked (see checkNames).
+*
+* @method parseMintermList
+* @param text {String} The function to read.
+* @return {Object} An object {numVar, form, terms, dontCares, output, names}, where form is "SOP" for minterms and "POS" for maxterms,
+* and output and names are the names given in the header (null without a header, or for names without a list of variables).
+*/
+function parseMintermList(text){
+    var rest = text.trim();
+    var numVar = 0;
+    var header = /^([A-Za-z]\w*)\s*(?:\(([^)]*)\))?\s*=\s*/.exec(rest);
+    var output = header ? header[1] : null;
+    var names = null;
+    if (header && header[2] !== undefined){
+        names = header[2].split(",").map(function(name){ return name.trim(); }).filter(function(name){ return name !== ""; });
+        numVar = names.length;
+    }
+    if (header) rest = rest.slice(header[0].length);
+    var main = /^(Σ|∑|sum)?\s*(m|M)?\s*\(([^)]*)\)\s*/.exec(rest) || /^(Π|∏|prod)\s*(M)?\s*\(([^)]*)\)\s*/.exec(rest);
+    if (!main || (!main[1] && !main[2])){
+        throw new SyntaxError("Expected a list of minterms \"Σm(...)\" or of maxterms \"ΠM(...)\", found \"" + rest + "\".");
+    }
+    var pos = (main[1] == "Π" || main[1] == "∏" || main[1] == "prod" || (!main[1] && main[2] == "M"));
+    var name = pos ? "ΠM" : "Σm";
+    var terms = parseIndexList(main[3], name);
+    rest = rest.slice(main[0].length);
+    var dontCares = [];
+    if (rest !== ""){
+        var dc = /^[+*·.]?\s*(d|dc)\s*\(([^)]*)\)\s*$/i.exec(rest);
+        if (!dc) throw new SyntaxError("Expected a list of \"don't care\" indexes \"d(...)\" after " + name + "(...), found \"" + rest + "\".");
+        dontCares = parseIndexList(dc[2], "d");
+    }
+
+    var all = terms.concat(dontCares);
+    var largest = Math.max.apply(null, all.concat([0]));
+    if (numVar === 0){
+        numVar = 2;
+        while (largest >= Math.pow(2, numVar) && numVar < KLvl.length-1) numVar++;
+    }
+    if (numVar < 2 || numVar > KLvl.length-1) throw new RangeError("The number of variables must be between 2 and " + (KLvl.length-1) + ", found " + numVar + ".");
+    for (var i=0; i<all.length; i++){
+        if (all[i] >= Math.pow(2, numVar)){
+            throw new RangeError("Index " + all[i] + " is out of range for " + numVar + " variables (0 to " + (Math.pow(2, numVar)-1) + ").");
+        }
+        if (i >= terms.length && terms.indexOf(all[i]) != -1){
+            throw new RangeError("Cell " + all[i] + " is listed both as a " + (pos ? "maxterm" : "minterm") + " and as a \"don't care\".");
+        }
+    }
+    if (output !== null) checkNames(names || [], output);
+    return {numVar: numVar, form: pos ? "POS" : "SOP", terms: terms, dontCares: dontCares, output: output, names: names};
+}
+
+
+/**
+* Fills the K-Map from a function written as a list of minterms or maxterms (see parseMintermList).
+* The K-Map is reset with the function's number of variables, "don't care" symbols are allowed if any are listed,
+* and the form of the solution follows the notation (sum of products for Σm, product of sums for ΠM).
+* The variables and the output are named as in the function's header, if it names them.
+*
+* @method setMintermList
+* @param text {String} The function to read.
+*/
+KMap.prototype.setMintermList = function(text){
+    var list = parseMintermList(text);
+    var other = (list.form == "POS") ? 1 : 0; // The value of the cells that are not listed.
+    var names = list.names ? list.names.concat(varNames.slice(list.numVar)) : this.varNames.slice(0, list.numVar);
+    //An output named only in the header must not be the name of one of the K-Map's variables.
+    if (list.output !== null) checkNames(names.slice(0, list.numVar), list.output);
+    this.init(list.numVar);
+    if (list.names) this.varNames = names;
+    if (list.output !== null) this.outputName = list.output;
+    else if (this.varNames.slice(0, list.numVar).indexOf(this.outputName) != -1) this.outputName = defaultOutputName(this.varNames.slice(0, list.numVar));
+    this.setDontCare(list.dontCares.length > 0);
+    this.setForm(list.form);
+    for (var m=0; m<this.Coords.length; m++) this.set(m, other);
+    for (var i=0; i<list.terms.length; i++) this.set(list.terms[i], 1-other);
+    for (var j=0; j<list.dontCares.length; j++) this.set(list.dontCares[j], 2);
+};
+
+
+/**
+* Writes the K-Map's values as a list of minterms (1 values) or of maxterms (0 values), followed by the "don't care" values if any,
+* such as "F(A,B,C,D) = Σm(0,2,5) + d(1,15)" or "F(A,B,C,D) = ΠM(1,3,4) · d(6)".
+*
+* @method getMintermList
+* @param [form=solutionForm] {String} "SOP" for the list of minterms, "POS" for the list of maxterms.
+* @param [format="text"] {String} "text" for plain text, "latex" for LaTeX code (with \sum and \prod).
+* @return {String} The K-Map's values as a list of minterms or maxterms.
+*/
+KMap.prototype.getMintermList = function(form, format){
+    if (form === undefined) form = this.solutionForm;
+    var latex = (format == "latex");
+    var lists = this.getMintermLists();
+    var text = this.writeFunctionName(latex ? "latex" : "text") + (latex ? "=" : " = ");
+    if (form == "POS") text += (latex ? "\\prod M(" : "ΠM(") + lists.zeros.join(",") + ")";
+    else text += (latex ? "\\sum m(" : "Σm(") + lists.ones.join(",") + ")";
+    if (lists.dontCares.length > 0){
+        if (latex) text += ((form == "POS") ? "\\cdot " : "+") + "d(" + lists.dontCares.join(",") + ")";
+        else text += ((form == "POS") ? " · " : " + ") + "d(" + lists.dontCares.join(",") + ")";
+    }
+    return text;
+};
+
+
+//----------------------------------------------------------------------------------
+//-------------------FUNCTIONS FOR ENCODING THE K-MAP IN A URL----------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Encodes the K-Map's state as the hash part of a URL (without the "#"), such as "v=4&dc=1&m=AgAEAQ".
+* It holds the number of variables (v), wether "don't care" symbols are allowed (dc), the values of the spaces in minterm order
+* (m, 2 bits per space, 3 spaces per digit of hashDigits), the names of the variables (n) when they are not the default ones,
+* and the name of the output (o) when it is not the default one (see defaultOutputName).
+*
+* @method toURLHash
+* @return {String} The encoded state of the K-Map.
+*/
+KMap.prototype.toURLHash = function(){
+    var digits = [];
+    for (var m=0; m<this.Coords.length; m++){
+        var j = Math.floor(m/3);
+        digits[j] = (digits[j] || 0) + this.get(m) * Math.pow(4, m%3);
+    }
+    var hash = "v=" + this.numVar + "&dc=" + (this.allowDC ? 1 : 0) + "&m=";
+    for (var i=0; i<digits.length; i++) hash += hashDigits.charAt(digits[i]);
+    var names = this.varNames.slice(0, this.numVar);
+    if (names.join() != varNames.slice(0, this.numVar).join()) hash += "&n=" + names.map(encodeURIComponent).join(",");
+    if (this.outputName != defaultOutputName(names)) hash += "&o=" + encodeURIComponent(this.outputName);
+    return hash;
+};
+
+
+/**
+* Restores the K-Map from the hash part of a URL written by toURLHash (with or without the "#").
+* The hash is checked entirely before the K-Map is modified.
+*
+* @method setURLHash
+* @param hash {String} The encoded state of the K-Map.
+*/
+KMap.prototype.setURLHash = function(hash){
+    var fields = {};
+    var parts = hash.replace(/^#/, "").split("&");
+    for (var i=0; i<parts.length; i++){
+        var pair = parts[i].split("=");
+        if (pair.length != 2) throw new SyntaxError("The link is not a valid K-Map link (\"" + parts[i] + "\").");
+        fields[pair[0]] = pair[1];
+    }
+    var nVar = parseInt(fields.v, 10);
+    if (!(String(nVar) === fields.v && nVar >= 2 && nVar < KLvl.length)) throw new RangeError("The link's number of variables must be between 2 and " + (KLvl.length-1) + ".");
+    if (fields.dc != "0" && fields.dc != "1") throw new SyntaxError("The link does not tell wether \"don't care\" symbols are allowed.");
+    var allowDC = (fields.dc == "1");
+    var cells = Math.pow(2, nVar);
+    var code = fields.m || "";
+    if (code.length != Math.ceil(cells/3)) throw new RangeError("The link holds " + code.length + " digits of values, instead of " + Math.ceil(cells/3) + " for " + nVar + " variables.");
+    var values = [];
+    for (var m=0; m<cells; m++){
+        var digit = hashDigits.indexOf(code.charAt(Math.floor(m/3)));
+        if (digit == -1) throw new SyntaxError("The link's values contain an invalid character \"" + code.charAt(Math.floor(m/3)) + "\".");
+        values[m] = Math.floor(digit / Math.pow(4, m%3)) % 4;
+        if (values[m] == 3 || (values[m] == 2 && !allowDC)) throw new RangeError("The link's value for cell " + m + " is not valid.");
+    }
+    var names = varNames.slice();
+    if (fields.n !== undefined){
+        var custom = fields.n.split(",").map(decodeURIComponent);
+        if (custom.length != nVar) throw new RangeError("The link must name each of the " + nVar + " variables.");
+        names = custom.concat(varNames.slice(nVar));
+    }
+    var output = (fields.o !== undefined) ? decodeURIComponent(fields.o) : defaultOutputName(names.slice(0, nVar));
+    checkNames(names.slice(0, nVar), output);
+    this.init(nVar);
+    this.setDontCare(allowDC);
+    this.varNames = names;
+    this.outputName = output;
+    for (var k=0; k<cells; k++) this.set(k, values[k]);
+};
+
+
+//----------------------------------------------------------------------------------
+//-------------------FUNCTIONS FOR SAVING AND LOADING JSON FILES--------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Returns the K-Map as a plain object, in the format of the JSON files (JSON.stringify uses it):
+* {numVar, names, output, dontCare, values, title, notes}, with the names of its variables and of its output, wether "don't care" symbols are allowed,
+* and its values (0, 1 or 2 for "don't care") in minterm order. The output is only written if it is not the default one (see defaultOutputName),
+* and the title and notes only if they are not empty.
+*
+* @method toJSON
+* @return {Object} The K-Map's data.
+*/
+KMap.prototype.toJSON = function(){
+    var data = {numVar: this.numVar, names: this.varNames.slice(0, this.numVar)};
+    if (this.outputName != defaultOutputName(data.names)) data.output = this.outputName;
+    data.dontCare = this.allowDC;
+    data.values = [];
+    for (var m=0; m<this.Coords.length; m++) data.values.push(this.get(m));
+    if (this.title !== "") data.title = this.title;
+    if (this.notes !== "") data.notes = this.notes;
+    return data;
+};
+
+
+/**
+* Fills the K-Map from an object in the format of toJSON. The object is checked entirely before the K-Map is modified:
+* the number of variables, the number of values and each value must be valid, "don't care" values are only allowed when dontCare is true,
+* and the names of the variables and of the output (both optional) must be valid (see checkNames). The K-Map keeps its form and engine.
+*
+* @method setJSON
+* @param data {Object} The K-Map's data.
+*/
+KMap.prototype.setJSON = function(data){
+    if (typeof data !== "object" || data === null || Array.isArray(data)) throw new SyntaxError("A K-Map must be an object.");
+    var nVar = data.numVar;
+    if (!(nVar % 1 === 0 && nVar >= 2 && nVar < KLvl.length)) throw new RangeError("The number of variables (numVar) must be between 2 and " + (KLvl.length-1) + ".");
+    if (typeof data.dontCare !== "boolean") throw new SyntaxError("The dontCare field must be true or false.");
+    var cells = Math.pow(2, nVar);
+    if (!Array.isArray(data.values) || data.values.length != cells){
+        throw new RangeError("The K-Map must have " + cells + " values for " + nVar + " variables" + (Array.isArray(data.values) ? ", not " + data.values.length : "") + ".");
+    }
+    for (var m=0; m<cells; m++){
+        var value = data.values[m];
+        if (value !== 0 && value !== 1 && value !== 2) throw new RangeError("The value of cell " + m + " must be 0, 1 or 2.");
+        if (value === 2 && !data.dontCare) throw new RangeError("Cell " + m + " is a \"don't care\" value, but dontCare is false.");
+    }
+    var names = varNames.slice();
+    if (data.names !== undefined){
+        if (!Array.isArray(data.names) || data.names.length != nVar) throw new RangeError("The K-Map must have " + nVar + " variable names.");
+        names = data.names.concat(varNames.slice(nVar));
+    }
+    var output = (data.output !== undefined) ? data.output : defaultOutputName(names.slice(0, nVar));
+    checkNames(names.slice(0, nVar), output);
+    if (data.title !== undefined && typeof data.title !== "string") throw new SyntaxError("The title must be a string.");
+    if (data.notes !== undefined && typeof data.notes !== "string") throw new SyntaxError("The notes must be a string.");
+    this.init(nVar);
+    this.setDontCare(data.dontCare);
+    this.varNames = names;
+    this.outputName = output;
+    this.title = data.title || "";
+    this.notes = data.notes || "";
+    for (var k=0; k<cells; k++) this.set(k, data.values[k]);
+};
+
+
+/**
+* Writes data as indented JSON, with the names of the variables of each K-Map on one line and its values written 16 per line,
+* so that the files stay short and diff well.
+*
+* @method writeJSON
+* @param data {Object} The data to write.
+* @return {String} The JSON text.
+*/
+function writeJSON(data){
+    return JSON.stringify(data, null, 2).replace(/( *)"values": \[([\s\d,]*)\]/g, function(match, indent, list){
+        var values = list.split(",").map(function(v){ return v.trim(); });
+        var lines = [];
+        for (var i=0; i<values.length; i+=16) lines.push(indent + "  " + values.slice(i, i+16).join(", "));
+        return indent + "\"values\": [\n" + lines.join(",\n") + "\n" + indent + "]";
+    }).replace(/"names": \[\s*((?:"(?:[^"\\]|\\.)*",?\s*)*)\]/g, function(match, list){
+        return "\"names\": [" + JSON.parse("[" + list + "]").map(function(name){ return JSON.stringify(name); }).join(", ") + "]";
+    }) + "\n";
+}
+
+
+/**
+* Writes a K-Map as a JSON file: {"format": "kmap", "version": 1, ...} followed by the fields of toJSON.
+*
+* @method writeMapFile
+* @param kmap {KMap} The K-Map to write.
+* @return {String} The JSON text of the file.
+*/
+function writeMapFile(kmap){
+    var data = {format: "kmap", version: 1};
+    var fields = kmap.toJSON();
+    for (var key in fields) data[key] = fields[key];
+    return writeJSON(data);
+}
+
+
+/**
+* Writes a collection of K-Maps, such as a bank of exercises, as a JSON file:
+* {"format": "kmap-collection", "version": 1, "title", "notes", "maps": [...]}, each map in the format of toJSON.
+*
+* @method writeCollectionFile
+* @param kmaps {Array} The K-Maps of the collection.
+* @param [options] {Object} The title and notes of the collection: {title, notes}.
+* @return {String} The JSON text of the file.
+*/
+function writeCollectionFile(kmaps, options){
+    options = options || {};
+    var data = {format: "kmap-collection", version: 1};
+    if (options.title) data.title = options.title;
+    if (options.notes) data.notes = options.notes;
+    data.maps = kmaps.map(function(kmap){ return kmap.toJSON(); });
+    return writeJSON(data);
+}
+
+
+/**
+* Reads a JSON file written by writeMapFile or writeCollectionFile, checking each K-Map (see setJSON).
+* Errors in a collection tell which map is wrong.
+*
+* @method readJSONFile
+* @param text {String} The JSON text of the file.
+* @return {Object} {title, notes, maps, collection}: the title and notes of the file, its K-Maps (a single one for a map file),
+* and wether the file is a collection.
+*/
+function readJSONFile(text){
+    var data;
+    try{ data = JSON.parse(text); }
+    catch(e){ throw new SyntaxError("The file is not valid JSON (" + e.message + ")."); }
+    if (typeof data !== "object" || data === null || Array.isArray(data)) throw new SyntaxError("The file must contain a JSON object.");
+    if (data.format != "kmap" && data.format != "kmap-collection") throw new SyntaxError("Unknown file format \"" + data.format + "\" (expected \"kmap\" or \"kmap-collection\").");
+    if (data.version !== 1) throw new RangeError("Unknown file version " + data.version + " (only version 1 can be read).");
+    if (data.format == "kmap"){
+        var kmap = new KMap();
+        kmap.setJSON(data);
+        return {title: kmap.title, notes: kmap.notes, maps: [kmap], collection: false};
+    }
+    if (!Array.isArray(data.maps)) throw new SyntaxError("A collection must have a list of maps.");
+    var maps = [];
+    for (var i=0; i<data.maps.length; i++){
+        maps[i] = new KMap();
+        try{ maps[i].setJSON(data.maps[i]); }
+        catch(e){ e.message = "Map " + (i+1) + ": " + e.message; throw e; }
+    }
+    return {title: (typeof data.title === "string") ? data.title : "", notes: (typeof data.notes === "string") ? data.notes : "", maps: maps, collection: true};
+}
+
+
+//----------------------------------------------------------------------------------
+//-------------------FUNCTIONS FOR READING BOOLEAN EXPRESSIONS----------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Builds the error thrown when a Boolean expression cannot be read, pointing at the position where reading failed.
+*
+* @method expressionError
+* @param message {String} The description of the error.
+* @param position {Integer} The position (index of the character) in the expression where reading failed.
+* @return {SyntaxError} The error, with the position in its "position" attribute.
+*/
+function expressionError(message, position){
+    var error = new SyntaxError(message + " at position " + position + ".");
+    error.position = position;
+    return error;
+}
+
+
+/**
+* Splits a Boolean expression into tokens (variables, constants, operators and parentheses).
+*
+* Operators can be written in several notations:
+* NOT as a prefix "!", "~", "¬", "not", "\lnot", "\neg", as a postfix prime "'", or as "\overline{...}" and "\bar{...}";
+* AND as "&", "&&", "*", "·", ".", "∧", "and", "\land", "\wedge", "\cdot", or simply by writing terms side by side;
+* OR as "+", "|", "||", "∨", "or", "\lor", "\vee"; XOR as "^", "⊕", "xor", "\oplus"; XNOR as "⊙", "xnor", "\odot".
+* Variable names written side by side (such as "AB") are split using the longest names first.
+*
+* @method tokenizeExpression
+* @param text {String} The expression.
+* @param names {Array} The names of the variables.
+* @param start {Integer} The position where the expression starts in the text.
+* @return {Array} The tokens, as objects {type, value, pos, text}, ending with a token of type "end".
+*/
+function tokenizeExpression(text, names, start){
+    var symbols = [["&&","and"],["||","or"],["&","and"],["*","and"],["·","and"],[".","and"],["∧","and"],
+                   ["|","or"],["+","or"],["∨","or"],["^","xor"],["⊕","xor"],["⊙","xnor"],
+                   ["!","not"],["~","not"],["¬","not"],["'","prime"],["’","prime"],
+                   ["(","open"],["{","open"],[")","close"],["}","close"],["0","const"],["1","const"]];
+    var keywords = {and: "and", or: "or", xor: "xor", xnor: "xnor", not: "not"};
+    var commands = {overline: "overline", bar: "overline", lnot: "not", neg: "not", land: "and", wedge: "and", cdot: "and",
+                    lor: "or", vee: "or", oplus: "xor", odot: "xnor", left: "", right: ""};
+    var sorted = names.slice().sort(function(n1, n2){ return n2.length - n1.length; });
+    var tokens = [];
+    var i = start;
+    while (i < text.length){
+        var rest = text.slice(i);
+        var match;
+        if (/^[\s$]/.test(rest)){ i++; continue; }
+        if ((match = /^\\([A-Za-z]+)/.exec(rest))){
+            if (!commands.hasOwnProperty(match[1])) throw expressionError("Unknown command \"" + match[0] + "\"", i);
+            if (commands[match[1]] !== "") tokens.push({type: commands[match[1]], pos: i, text: match[0]});
+            i += match[0].length; continue;
+        }
+        if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))){
+            var word = match[0];
+            if (keywords.hasOwnProperty(word.toLowerCase()) && names.indexOf(word) == -1){
+                tokens.push({type: keywords[word.toLowerCase()], pos: i, text: word});
+                i += word.length; continue;
+            }
+            //The word is made of variable names written side by side.
+            var w = 0;
+            while (w < word.length){
+                var name = null;
+                for (var n=0; n<sorted.length && name === null; n++){
+                    if (word.substr(w, sorted[n].length) === sorted[n]) name = sorted[n];
+                }
+                if (name === null) throw expressionError("Unknown variable \"" + word.slice(w) + "\" (the variables are " + names.join(", ") + ")", i+w);
+                tokens.push({type: "var", value: names.indexOf(name), pos: i+w, text: name});
+                w += name.length;
+            }
+            i += word.length; continue;
+        }
+        var symbol = null;
+        for (var s=0; s<symbols.length && symbol === null; s++){
+            if (rest.indexOf(symbols[s][0]) === 0) symbol = symbols[s];
+        }
+        if (symbol === null) throw expressionError("Unexpected character \"" + rest[0] + "\"", i);
+        tokens.push({type: symbol[1], value: (symbol[1] == "const") ? parseInt(symbol[0]) : symbol[0], pos: i, text: symbol[0]});
+        i += symbol[0].length;
+    }
+    tokens.push({type: "end", pos: text.length, text: ""});
+    return tokens;
+}
+
+
+/**
+* Reads a Boolean expression, such as "A'B + C(D xor E)", "!(A & B) | C" or "\overline{A}B" (see tokenizeExpression for the notations).
+* An optional header such as "F(A,B,C,D) =" or "F =" is skipped.
+*
+* From the lowest to the highest precedence, the operators are OR, then XOR and XNOR, then AND, then NOT.
+* The result is a tree of nodes: {type: "var", index}, {type: "const", value}, {type: "not", arg},
+* and {type: "and"/"or"/"xor"/"xnor", args}.
+*
+* @method parseExpression
+* @param text {String} The expression.
+* @param names {Array} The names of the variables.
+* @return {Object} An object {tree, headerVars, highestVar}: the tree of the expression, the number of variables listed in the header (0 without a header),
+* and the index of the last variable used in the expression (-1 if there is none).
+*/
+function parseExpression(text, names){
+    var header = /^\s*[A-Za-z]\w*\s*(?:\(([^)]*)\))?\s*=(?!=)/.exec(text);
+    var headerVars = 0;
+    if (header && header[1] !== undefined) headerVars = header[1].split(",").filter(function(name){ return name.trim() !== ""; }).length;
+    var tokens = tokenizeExpression(text, names, header ? header[0].length : 0);
+    var t = 0;
+    var highestVar = -1;
+
+    function describe(token){
+        return (token.type == "end") ? "Unexpected end of expression" : "Unexpected \"" + token.text + "\"";
+    }
+    function startsFactor(token){
+        return token.type == "var" || token.type == "const" || token.type == "open" || token.type == "not" || token.type == "overline";
+    }
+    function parseOr(){
+        var args = [parseXor()];
+        while (tokens[t].type == "or"){ t++; args.push(parseXor()); }
+        return (args.length == 1) ? args[0] : {type: "or", args: args};
+    }
+    function parseXor(){
+        var node = parseAnd();
+        while (tokens[t].type == "xor" || tokens[t].type == "xnor"){
+            var op = tokens[t++].type;
+            node = {type: op, args: [node, parseAnd()]};
+        }
+        return node;
+    }
+    function parseAnd(){
+        var args = [parseNot()];
+        while (tokens[t].type == "and" || startsFactor(tokens[t])){
+            if (tokens[t].type == "and") t++;
+            args.push(parseNot());
+        }
+        return (args.length == 1) ? args[0] : {type: "and", args: args};
+    }
+    function parseNot(){
+        if (tokens[t].type == "not"){ t++; return {type: "not", arg: parseNot()}; }
+        var node = parsePrimary();
+        while (tokens[t].type == "prime"){ t++; node = {type: "not", arg: node}; }
+        return node;
+    }
+    function parseGroup(open){
+        var node = parseOr();
+        var close = (open == "(") ? ")" : "}";
+        if (tokens[t].type != "close" || tokens[t].value != close) throw expressionError(describe(tokens[t]) + ", expected \"" + close + "\"", tokens[t].pos);
+        t++;
+        return node;
+    }
+    function parsePrimary(){
+        var token = tokens[t];
+        switch (token.type){
+            case "var": t++; highestVar = Math.max(highestVar, token.value); return {type: "var", index: token.value};
+            case "const": t++; return {type: "const", value: token.value};
+            case "open": t++; return parseGroup(token.value);
+            case "overline":
+                t++;
+                if (tokens[t].type != "open" || tokens[t].value != "{") throw expressionError(describe(tokens[t]) + ", expected \"{\" after " + token.text, tokens[t].pos);
+                t++;
+                return {type: "not", arg: parseGroup("{")};
+        }
+        throw expressionError(describe(token), token.pos);
+    }
+
+    var tree = parseOr();
+    if (tokens[t].type != "end") throw expressionError(describe(tokens[t]), tokens[t].pos);
+    return {tree: tree, headerVars: headerVars, highestVar: highestVar};
+}
+
+
+/**
+* Evaluates the tree of a Boolean expression (see parseExpression) for given values of the variables.
+*
+* @method evaluateExpression
+* @param node {Object} The tree of the expression.
+* @param values {Array} The value (0 or 1) of each variable, by index.
+* @return {Integer} The value of the expression, 0 or 1.
+*/
+function evaluateExpression(node, values){
+    var result, i;
+    switch (node.type){
+        case "var": return values[node.index];
+        case "const": return node.value;
+        case "not": return 1 - evaluateExpression(node.arg, values);
+        case "and":
+            result = 1;
+            for (i=0; i<node.args.length; i++) result &= evaluateExpression(node.args[i], values);
+            return result;
+        case "or":
+            result = 0;
+            for (i=0; i<node.args.length; i++) result |= evaluateExpression(node.args[i], values);
+            return result;
+        case "xor": return evaluateExpression(node.args[0], values) ^ evaluateExpression(node.args[1], values);
+        case "xnor": return 1 - (evaluateExpression(node.args[0], values) ^ evaluateExpression(node.args[1], values));
+    }
+}
+
+
+/**
+* Fills the K-Map by evaluating a Boolean expression (see parseExpression) over every space.
+*
+* The K-Map keeps its number of variables, unless the expression has a header listing its variables,
+* or uses variables beyond those of the K-Map. In both cases, the K-Map is reset with the needed number of variables.
+*
+* @method setExpression
+* @param text {String} The expression.
+*/
+KMap.prototype.setExpression = function(text){
+    var parsed = parseExpression(text, this.varNames.slice(0, KLvl.length-1));
+    var nVar = parsed.headerVars || Math.max(this.numVar, parsed.highestVar+1);
+    if (parsed.highestVar >= nVar){
+        throw new RangeError("Variable " + this.varNames[parsed.highestVar] + " is not part of a function of " + nVar + " variables.");
+    }
+    if (nVar != this.numVar) this.init(nVar);
+    for (var m=0; m<this.Coords.length; m++){
+        var values = [];
+        for (var k=0; k<nVar; k++) values[k] = (m >> (nVar-1-k)) & 1;
+        this.set(m, evaluateExpression(parsed.tree, values));
+    }
+};
+
+
+/**
+* Evaluates the tree of a Boolean expression (see parseExpression) for every minterm of a number of variables.
+*
+* @method expressionTruthTable
+* @param tree {Object} The tree of the expression.
+* @param nVar {Integer} The number of variables.
+* @return {Array} The value (0 or 1) of the expression for each minterm.
+*/
+function expressionTruthTable(tree, nVar){
+    var table = [];
+    for (var m=0; m<(1 << nVar); m++){
+        var values = [];
+        for (var k=0; k<nVar; k++) values[k] = (m >> (nVar-1-k)) & 1;
+        table[m] = evaluateExpression(tree, values);
+    }
+    return table;
+}
+
+
+/**
+* Checks wether a Boolean expression is equivalent to the K-Map, or to another expression.
+*
+* Compared with the K-Map, the expression may only use the K-Map's variables (and its header, if any, must list as many),
+* and the spaces holding a "don't care" value are left free: the functions may differ there.
+* Two expressions are compared over the variables they use or list in their headers, whatever the K-Map's number of variables,
+* and every minterm counts. In both cases, the variables are named after those of the K-Map.
+*
+* Each minterm where the functions differ is listed as an object {minterm, assignment, values}: the values given to the variables
+* (see writeAssignment), and the values of the two functions, the one of the K-Map being second when it is compared.
+*
+* @method compareExpression
+* @param text {String} The expression.
+* @param [other] {String} Another expression to compare it with, instead of the K-Map.
+* @return {Object} An object {equivalent, numVar, differences}: wether the functions are the same, the number of variables they were compared over,
+* and the minterms where they differ.
+*/
+KMap.prototype.compareExpression = function(text, other){
+    var names = this.varNames.slice(0, KLvl.length-1);
+    var parsed = [parseExpression(text, names)];
+    if (other !== undefined) parsed.push(parseExpression(other, names));
+    var nVar = this.numVar;
+    if (other !== undefined) nVar = Math.max.apply(null, parsed.map(function(p){ return Math.max(1, p.headerVars, p.highestVar+1); }));
+    for (var i=0; i<parsed.length; i++){
+        var size = parsed[i].headerVars || nVar;
+        if (other === undefined && size != nVar) throw new RangeError("The expression's header lists " + size + " variables, but the K-Map has " + nVar + ".");
+        if (parsed[i].highestVar >= size) throw new RangeError("Variable " + names[parsed[i].highestVar] + " is not part of a function of " + size + " variables.");
+    }
+    var first = expressionTruthTable(parsed[0].tree, nVar);
+    var second = (other === undefined) ? null : expressionTruthTable(parsed[1].tree, nVar);
+    var differences = [];
+    for (var m=0; m<first.length; m++){
+        var value;
+        if (second) value = second[m];
+        else{
+            value = this.get(m);
+            if (value === 2) continue;
+        }
+        if (first[m] !== value) differences.push({minterm: m, assignment: this.writeAssignment(m, "text", nVar), values: [first[m], value]});
+    }
+    return {equivalent: differences.length === 0, numVar: nVar, differences: differences};
+};
+
+
+//----------------------------------------------------------------------------------
+//-----------------------FUNCTIONS FOR GENERATING EXERCISES-------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Creates a seeded pseudo-random number generator (mulberry32), so that the same seed always produces the same exercises.
+*
+* @method createRandom
+* @param seed {Integer} The seed of the generator.
+* @return {Function} A function returning a new pseudo-random number between 0 (included) and 1 (excluded) on each call.
+*/
+function createRandom(seed){
+    var state = seed >>> 0;
+    return function(){
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+
+/**
+* Checks if an n-cube wraps around an edge of the K-Map, along any of its axes.
+*
+* @method cubeWraps
+* @param nCube {Array} An array of spaces representing an n-cube's portion of the K-Map.
+* @return {Bool} Wether the n-cube goes out of the K-Map and back in on the other side.
+*/
+KMap.prototype.cubeWraps = function(nCube){
+    var axisSizes = this.getAxisSizes();
+    var start = nCube[0].slice(0,2).concat(this.getLevelPositions(nCube[0][2]));
+    for (var a=0; a<axisSizes.length; a++){
+        var positions = [];
+        for (var i=0; i<nCube.length; i++){
+            var position = nCube[i].slice(0,2).concat(this.getLevelPositions(nCube[i][2]))[a];
+            if (positions.indexOf(position) == -1) positions.push(position);
+        }
+        if (start[a] + positions.length > axisSizes[a]) return true;
+    }
+    return false;
+};
+
+
+/**
+* Describes the cover of the K-Map, to measure how difficult it is to solve by hand.
+*
+* @method getCoverFeatures
+* @return {Object} An object {terms, literals, wraps, crossLevel, noEssential}: the cost of the cover, the number of n-cubes that wrap around an edge,
+* the number of n-cubes that span several levels, and wether the K-Map has no essential prime implicant at all.
+*/
+KMap.prototype.getCoverFeatures = function(){
+    this.updateExact();
+    var features = this.getCoverCost(this.nCubeList);
+    features.wraps = 0;
+    features.crossLevel = 0;
+    for (var i=0; i<this.nCubeList.length; i++){
+        if (this.cubeWraps(this.nCubeList[i])) features.wraps++;
+        if (!this.nCubeList[i].every(function(space, j, nCube){ return space[2] == nCube[0][2]; })) features.crossLevel++;
+    }
+    //The prime implicants were found when solving the K-Map.
+    var lists = this.getMintermLists();
+    var targets = (this.getTargetValue() === 1) ? lists.ones : lists.zeros;
+    features.noEssential = (targets.length > 0 && this.essentialPrimes.length === 0);
+    return features;
+};
+
+
+/**
+* Generates a random K-Map of a given difficulty (see exerciseLevels), solved with the exact method.
+* The 1 values are made of a few random groups, then spaces are turned into "don't care" values with the given density,
+* until the minimal cover of the map fits the difficulty.
+*
+* @method generateExercise
+* @param nVar {Integer} The number of variables of the K-Map.
+* @param difficulty {String} The difficulty: "easy", "medium" or "hard".
+* @param dcDensity {Number} The probability for each space to hold a "don't care" value (0 for none).
+* @param random {Function} The pseudo-random number generator (see createRandom).
+* @return {KMap} The generated K-Map.
+*/
+function generateExercise(nVar, difficulty, dcDensity, random){
+    var level = exerciseLevels[difficulty];
+    if (!level) throw new RangeError("Unknown difficulty \"" + difficulty + "\" (expected easy, medium or hard).");
+    for (var tries=0; tries<maxExerciseTries; tries++){
+        var kmap = new KMap(nVar, dcDensity > 0);
+        kmap.setEngine("exact");
+        var nGroups = level.seedTerms[0] + Math.floor(random() * (level.seedTerms[1] - level.seedTerms[0] + 1));
+        for (var g=0; g<nGroups; g++){
+            //A random group of 1 to 2^(nVar-1) spaces, as an implicant with a random number of free variables.
+            var mask = 0;
+            var nFree = Math.floor(random() * nVar);
+            while (countBits(mask) < nFree) mask |= 1 << Math.floor(random() * nVar);
+            var group = {value: Math.floor(random() * (1 << nVar)) & ~mask, mask: mask};
+            for (var m=0; m<kmap.Coords.length; m++){ if (implicantCovers(group, m)) kmap.set(m, 1); }
+        }
+        for (var n=0; n<kmap.Coords.length; n++){ if (random() < dcDensity) kmap.set(n, 2); }
+        if (level.accepts(kmap.getCoverFeatures())) return kmap;
+    }
+    throw new RangeError("No " + difficulty + " exercise of " + nVar + " variables was found in " + maxExerciseTries + " tries.");
+}
+
+
+/**
+* Generates a list of random exercises, such as 10 medium 4-variable K-Maps with "don't care" values.
+* The same options, including the seed, always produce the same exercises.
+*
+* @method generateExercises
+* @param options {Object} The options {count, numVar, difficulty, dcDensity, seed}, by default 1 medium 4-variable K-Map without "don't care" values and a random seed.
+* @return {Array} The generated K-Maps.
+*/
+function generateExercises(options){
+    var seed = (options.seed === undefined) ? Math.floor(Math.random() * 4294967296) : options.seed;
+    var random = createRandom(seed);
+    var exercises = [];
+    for (var i=0; i<(options.count || 1); i++){
+        exercises.push(generateExercise(options.numVar || 4, options.difficulty || "medium", options.dcDensity || 0, random));
+    }
+    return exercises;
+}
+
+
+//----------------------------------------------------------------------------------
+//-------------------------FUNCTIONS FOR GRADING ANSWERS----------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Writes an implicant of the K-Map as a term of its logic function, in plain text (such as "A'BD", or "(A + B')" for a product of sums).
+*
+* @method implicantToText
+* @param imp {Object} An implicant {value, mask}.
+* @return {String} The term of the implicant.
+*/
+KMap.prototype.implicantToText = function(imp){
+    return this.getFunctionText(this.implicantToCube(imp), "text");
+};
+
+
+/**
+* Converts a group of spaces, given by their minterms, to an implicant.
+* A group is an implicant only if it holds 1, 2, 4, 8... spaces forming a rectangle (possibly wrapping around the edges of the K-Map, or across levels).
+*
+* @method groupToImplicant
+* @param minterms {Array} The minterms of the spaces in the group.
+* @return {Object} The implicant {value, mask} of the group, or null if the group is not a rectangle.
+*/
+KMap.prototype.groupToImplicant = function(minterms){
+    if (minterms.length === 0) return null;
+    var mask = 0;
+    for (var i=1; i<minterms.length; i++) mask |= minterms[0] ^ minterms[i];
+    var distinct = minterms.filter(function(m, j){ return minterms.indexOf(m) == j; });
+    if (distinct.length != Math.pow(2, countBits(mask))) return null;
+    return {value: minterms[0] & ~mask, mask: mask};
+};
+
+
+/**
+* Flattens the nested nodes of a given type in the tree of a Boolean expression (such as the "and" nodes of "A(BC)").
+*
+* @method flattenExpression
+* @param node {Object} The tree of the expression (see parseExpression).
+* @param type {String} The type of the nodes to flatten.
+* @return {Array} The operands of the node, or the node itself if it has another type.
+*/
+function flattenExpression(node, type){
+    if (node.type != type) return [node];
+    var args = [];
+    for (var i=0; i<node.args.length; i++) args = args.concat(flattenExpression(node.args[i], type));
+    return args;
+}
+
+
+/**
+* Converts the tree of a Boolean expression written as a sum of products (or as a product of sums) to a list of implicants.
+* For a product of sums, each sum clause gives the implicant of the 0 values it groups.
+*
+* @method expressionToImplicants
+* @param tree {Object} The tree of the expression (see parseExpression).
+* @param nVar {Integer} The number of variables.
+* @param form {String} "SOP" for a sum of products, "POS" for a product of sums.
+* @return {Array} The implicants {value, mask}, one per term.
+*/
+function expressionToImplicants(tree, nVar, form){
+    var pos = (form == "POS");
+    var all = Math.pow(2, nVar) - 1;
+    var imps = [];
+    var terms = flattenExpression(tree, pos ? "and" : "or");
+    for (var t=0; t<terms.length; t++){
+        var literals = flattenExpression(terms[t], pos ? "or" : "and");
+        var imp = {value: 0, mask: all};
+        var skip = false;
+        for (var l=0; l<literals.length; l++){
+            var node = literals[l];
+            var negated = false;
+            while (node.type == "not"){ negated = !negated; node = node.arg; }
+            if (node.type == "const"){
+                //In a product, a 0 makes the whole term 0 (so it is left out) and a 1 changes nothing. In a sum clause, it is the opposite.
+                if (((node.value === 1) !== negated) === pos) skip = true;
+                continue;
+            }
+            if (node.type != "var"){
+                throw new SyntaxError("The answer must be written as a " + (pos ? "product of sums" : "sum of products") + " of variables and their complements.");
+            }
+            var bit = 1 << (nVar-1-node.index);
+            var value = (negated === pos) ? bit : 0; //In a sum clause, the literal A groups the spaces where A is 0.
+            if (!(imp.mask & bit) && (imp.value & bit) != value){
+                throw new Error("A term contains a variable and its complement, so it is " + (pos ? "always 1" : "always 0") + ": remove it.");
+            }
+            imp.mask &= ~bit;
+            imp.value |= value;
+        }
+        if (!skip) imps.push(imp);
+    }
+    return imps;
+}
+
+
+/**
+* Grades an answer to the K-Map, given as the implicants of its terms, against the minimal cover of the K-Map.
+*
+* The diagnostics list, for each problem found, an object {type, message}, where type is one of:
+* "invalid" (a term covers a 0 value, or a 1 value for a product of sums), "notPrime" (a term could be grown into a larger one),
+* "uncovered" (some 1 values are left out), "redundant" (a term could be removed) and "notMinimal" (the answer is correct but costs more than a minimal cover).
+*
+* @method gradeAnswer
+* @param answer {Array} The implicants {value, mask} of the answer.
+* @return {Object} An object {correct, minimal, cost, minimalCost, diagnostics}: wether the answer is a cover of the K-Map,
+* wether it is a cover of minimal cost, the costs {terms, literals} of the answer and of a minimal cover, and the list of diagnostics.
+*/
+KMap.prototype.gradeAnswer = function(answer){
+    this.updateExact();
+    var pos = (this.solutionForm == "POS");
+    var lists = this.getMintermLists();
+    var targets = pos ? lists.zeros : lists.ones;
+    var forbidden = pos ? lists.ones : lists.zeros;
+    var primes = this.primeImplicants;
+    var target = pos ? "0" : "1";
+    var diagnostics = [];
+    var valid = [];
+    var i;
+
+    for (i=0; i<answer.length; i++){
+        var imp = answer[i];
+        var bad = forbidden.filter(function(m){ return implicantCovers(imp, m); });
+        if (bad.length > 0){
+            diagnostics.push({type: "invalid", implicant: imp, minterms: bad,
+                message: this.implicantToText(imp) + " is not a valid implicant: it covers the " + (pos ? "1" : "0") + " value of cell" + (bad.length > 1 ? "s " : " ") + bad.join(", ") + "."});
+            continue;
+        }
+        valid.push(imp);
+        var larger = primes.filter(function(p){ return p.mask != imp.mask && (p.mask & imp.mask) == imp.mask && implicantCovers(p, imp.value); });
+        if (larger.length > 0){
+            diagnostics.push({type: "notPrime", implicant: imp,
+                message: this.implicantToText(imp) + " is not prime: it can be grown into " + this.implicantToText(larger[0]) + "."});
+        }
+    }
+
+    var coveredBy = function(imps, m){ return imps.some(function(other){ return implicantCovers(other, m); }); };
+    var uncovered = targets.filter(function(m){ return !coveredBy(valid, m); });
+    if (uncovered.length > 0){
+        diagnostics.push({type: "uncovered", minterms: uncovered,
+            message: "The " + target + " value" + (uncovered.length > 1 ? "s of cells " : " of cell ") + uncovered.join(", ") + (uncovered.length > 1 ? " are" : " is") + " not covered."});
+    }else{
+        for (i=0; i<valid.length; i++){
+            var others = valid.slice(0, i).concat(valid.slice(i+1));
+            if (targets.every(function(m){ return coveredBy(others, m); })){
+                diagnostics.push({type: "redundant", implicant: valid[i],
+                    message: this.implicantToText(valid[i]) + " is redundant: the other terms already cover all of its " + target + " values."});
+            }
+        }
+    }
+
+    var result = {correct: (valid.length == answer.length && uncovered.length === 0), minimal: false,
+                  cost: getImplicantsCost(answer, this.numVar), minimalCost: this.engineCosts.exact, diagnostics: diagnostics};
+    result.minimal = result.correct && compareCosts(result.cost, result.minimalCost) <= 0;
+    var difference = function(n, word){ return (n < 0) ? plural(-n, "fewer " + word) : plural(n, "more " + word); };
+    if (result.correct && !result.minimal){
+        diagnostics.push({type: "notMinimal",
+            message: "The answer is correct but not minimal: it uses " + plural(result.cost.terms, "term") + " and " + plural(result.cost.literals, "literal")
+                   + ", while a minimal answer uses " + plural(result.minimalCost.terms, "term") + " and " + plural(result.minimalCost.literals, "literal")
+                   + " (" + difference(result.cost.terms - result.minimalCost.terms, "term") + " and " + difference(result.cost.literals - result.minimalCost.literals, "literal") + ")."});
+    }
+    return result;
+};
+
+
+/**
+* Grades an answer typed as a Boolean expression: a sum of products, or a product of sums if the 0 values are grouped (see gradeAnswer).
+*
+* @method gradeExpression
+* @param text {String} The answer.
+* @return {Object} The grade of the answer (see gradeAnswer).
+*/
+KMap.prototype.gradeExpression = function(text){
+    var parsed = parseExpression(text, this.varNames.slice(0, this.numVar));
+    return this.gradeAnswer(expressionToImplicants(parsed.tree, this.numVar, this.solutionForm));
+};
+
+
+/**
+* Grades an answer drawn as groups of spaces on the K-Map (see gradeAnswer).
+* Groups that are not rectangles of 1, 2, 4, 8... spaces are reported with the type "shape", and make the answer incorrect.
+*
+* @method gradeGroups
+* @param groups {Array} The groups, each one as an array of minterms.
+* @return {Object} The grade of the answer (see gradeAnswer).
+*/
+KMap.prototype.gradeGroups = function(groups){
+    var imps = [];
+    var shapes = [];
+    for (var i=0; i<groups.length; i++){
+        var imp = this.groupToImplicant(groups[i]);
+        if (imp === null){
+            shapes.push({type: "shape", minterms: groups[i],
+                message: "Group " + (i+1) + " (cells " + groups[i].join(", ") + ") is not a rectangle of 1, 2, 4, 8... cells."});
+        }else imps.push(imp);
+    }
+    var result = this.gradeAnswer(imps);
+    if (shapes.length > 0){
+        result.correct = false; result.minimal = false;
+        result.diagnostics = shapes.concat(result.diagnostics.filter(function(diag){ return diag.type != "notMinimal"; }));
+    }
+    return result;
+};
+
+
+//----------------------------------------------------------------------------------
+//-----------------------FUNCTIONS FOR MANAGING THE PAGE'S K-MAP--------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Simply resets and redraws the K-Map, using the current number of variables.
+*
+* @method resetKMap
+*/
+function resetKMap(){
+    recordEdit();
+    currentKMap.init(currentKMap.numVar); resetPractice(); redraw();
+}
+
+
+/**
+* Changes the number of variables of the K-Map, resetting it in the process.
+*
+* @method changeNumVar
+* @param Num {Integer} The new number of variables for the map.
+*/
+function changeNumVar(Num){
+    if(Num != currentKMap.numVar){
+        recordEdit();
+        currentKMap.init(Num); resetPractice();
+        updateControls();
+    }
+    redraw();
+}
+
+
+/**
+* Switches wether the K-Map allows for "don't care" symbols or not. When they are no longer allowed, they are set back to 0 (this can be undone).
+*
+* @method switchDontCare
+*/
+function switchDontCare(){
+    recordEdit();
+    currentKMap.setDontCare(!currentKMap.allowDC);
+    resetPractice();
+    redraw();
+}
+
+
+/**
+* Changes the form of the solution, between a sum of products ("SOP") and a product of sums ("POS").
+*
+* @method changeForm
+* @param form {String} The new form of the solution, either "SOP" or "POS".
+*/
+function changeForm(form){
+    currentKMap.setForm(form);
+    resetPractice();
+    redraw();
+}
+
+
+/**
+* Changes the engine used to calculate the cover shown as the solution.
+*
+* @method changeEngine
+* @param engine {String} The new engine, either "espresso" or "exact".
+*/
+function changeEngine(engine){
+    currentKMap.setEngine(engine);
+    redraw();
+}
+
+
+/**
+* Changes the LaTeX package the code of the K-Map and of the exercise sheets is written for.
+*
+* @method changeLaTeXBackEnd
+* @param backEnd {String} The new package, one of latexBackEnds.
+*/
+function changeLaTeXBackEnd(backEnd){
+    currentKMap.setLaTeXBackEnd(backEnd);
+    redraw();
+}
+
+
+/**
+* Fills the K-Map from the list of minterms or maxterms typed in the page's text field (see parseMintermList),
+* or shows why it could not be read.
+*
+* @method loadMintermList
+*/
+function loadMintermList(){
+    var error = document.getElementById("MintermError");
+    var before = JSON.stringify(currentKMap);
+    try{
+        currentKMap.setMintermList(document.getElementById("MintermInput").value);
+    }catch(e){
+        error.textContent = e.message;
+        return;
+    }
+    recordEdit(before);
+    error.textContent = "";
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Fills the K-Map from the Boolean expression typed in the page's text field (see parseExpression),
+* or shows why it could not be read, pointing at the position of the error.
+*
+* @method loadExpression
+*/
+function loadExpression(){
+    var input = document.getElementById("ExpressionInput").value;
+    var error = document.getElementById("ExpressionError");
+    var before = JSON.stringify(currentKMap);
+    try{
+        currentKMap.setExpression(input);
+    }catch(e){
+        error.textContent = e.message;
+        if (e.position !== undefined) error.textContent += "\n" + input + "\n" + new Array(e.position+1).join(" ") + "^";
+        return;
+    }
+    recordEdit(before);
+    error.textContent = "";
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Generates a list of random exercises with the options chosen on the page, using the current number of variables,
+* and lists them so that each one can be opened in the K-Map.
+* Without a seed, a random one is picked and written in its field, so that the same exercises can be generated again.
+*
+* @method generateExerciseList
+*/
+function generateExerciseList(){
+    var seedInput = document.getElementById("ExerciseSeed");
+    if (seedInput.value === "") seedInput.value = Math.floor(Math.random() * 1000000);
+    try{
+        exerciseList = generateExercises({
+            count: parseInt(document.getElementById("ExerciseCount").value, 10),
+            numVar: currentKMap.numVar,
+            difficulty: document.getElementById("ExerciseDifficulty").value,
+            dcDensity: parseFloat(document.getElementById("ExerciseDC").value),
+            seed: parseInt(seedInput.value, 10)
+        });
+    }catch(e){
+        document.getElementById("ExerciseError").textContent = e.message;
+        return;
+    }
+    document.getElementById("ExerciseError").textContent = "";
+    saveCollection();
+    document.getElementById("ExerciseDiv").innerHTML = generateExerciseListHTML();
+}
+
+
+/**
+* Generates the HTML code listing the exercises of the working collection, each with a button to open it in the K-Map
+* and one to remove it from the collection.
+*
+* @method generateExerciseListHTML
+* @return {String} The HTML code for the list of exercises.
+*/
+function generateExerciseListHTML(){
+    var text = "<ol>";
+    for (var i=0; i<exerciseList.length; i++){
+        text += "<li>";
+        if (exerciseList[i].title !== "") text += "<b>" + escapeHTML(exerciseList[i].title) + "</b> ";
+        text += "<small>" + escapeHTML(exerciseList[i].getMintermList("SOP")) + "</small> ";
+        text += "<input type='button' value='Open' onClick='openExercise(" + i + ");'> ";
+        text += "<input type='button' value='Remove' onClick='removeFromCollection(" + i + ");'>";
+        if (exerciseList[i].notes !== "") text += "<br /><small>" + escapeHTML(exerciseList[i].notes) + "</small>";
+        text += "</li>";
+    }
+    text += "</ol>";
+    return text;
+}
+
+
+/**
+* Opens a copy of a generated exercise in the K-Map.
+*
+* @method openExercise
+* @param index {Integer} The place of the exercise in the list of exercises.
+*/
+function openExercise(index){
+    var backEnd = currentKMap.latexBackEnd;
+    recordEdit();
+    currentKMap = exerciseList[index].clone();
+    currentKMap.setLaTeXBackEnd(backEnd);
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Makes the browser download a text file.
+*
+* @method downloadText
+* @param fileName {String} The name of the file.
+* @param text {String} The content of the file.
+* @param [type="text/plain"] {String} The MIME type of the file.
+*/
+function downloadText(fileName, text, type){
+    downloadBlob(fileName, new Blob([text], {type: type || "text/plain"}));
+}
+
+
+/**
+* Makes the browser download a file from its binary content.
+*
+* @method downloadBlob
+* @param fileName {String} The name of the file.
+* @param blob {Blob} The content of the file.
+*/
+function downloadBlob(fileName, blob){
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+
+/**
+* Returns the K-Maps of the exercise sheet: the generated exercises if there are any, or else the current K-Map.
+*
+* @method getSheetKMaps
+* @return {Array} The K-Maps of the exercise sheet.
+*/
+function getSheetKMaps(){
+    return (exerciseList.length > 0) ? exerciseList : [currentKMap];
+}
+
+
+/**
+* Downloads the LaTeX exercise sheet (see writeExerciseSheet), with the title and options chosen on the page.
+*
+* @method downloadExerciseSheet
+*/
+function downloadExerciseSheet(){
+    downloadText("kmap-exercises.tex", writeExerciseSheet(getSheetKMaps(), {
+        title: document.getElementById("SheetTitle").value,
+        solutions: document.getElementById("SheetSolutions").checked,
+        backEnd: currentKMap.latexBackEnd
+    }), "application/x-tex");
+}
+
+
+/**
+* Downloads the LaTeX answer key of the exercise sheet (see writeAnswerKey).
+*
+* @method downloadAnswerKey
+*/
+function downloadAnswerKey(){
+    downloadText("kmap-answer-key.tex", writeAnswerKey(getSheetKMaps(), {
+        title: document.getElementById("SheetTitle").value,
+        backEnd: currentKMap.latexBackEnd
+    }), "application/x-tex");
+}
+
+
+/**
+* Downloads an image of the page's K-Map (see toSVG), as SVG or as PNG. The PNG image is drawn from the SVG one through a canvas,
+* at twice its size. The cover is left out in practice mode.
+*
+* @method downloadImage
+* @param format {String} "svg" or "png".
+*/
+function downloadImage(format){
+    var svg = currentKMap.toSVG(!practiceMode);
+    if (format == "svg"){
+        downloadText("kmap.svg", svg, "image/svg+xml");
+        return;
+    }
+    var image = new Image();
+    var url = URL.createObjectURL(new Blob([svg], {type: "image/svg+xml"}));
+    image.onload = function(){
+        var canvas = document.createElement("canvas");
+        canvas.width = 2*image.width;
+        canvas.height = 2*image.height;
+        var context = canvas.getContext("2d");
+        context.scale(2, 2);
+        context.drawImage(image, 0, 0);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(function(blob){ downloadBlob("kmap.png", blob); }, "image/png");
+    };
+    image.src = url;
+}
+
+
+/**
+* Downloads the schematic of the logic circuit drawn on the page (see toCircuitSVG).
+*
+* @method downloadCircuit
+*/
+function downloadCircuit(){
+    downloadText("kmap-circuit.svg", currentKMap.toCircuitSVG(circuitType), "image/svg+xml");
+}
+
+
+/**
+* Downloads the hardware description of the page's K-Map's solution, or its testbench (see toVerilog and toVHDL).
+*
+* @method downloadHDL
+* @param language {String} "verilog" or "vhdl".
+* @param testbench {Boolean} Wether to download the testbench rather than the module or entity.
+*/
+function downloadHDL(language, testbench){
+    var source = multiKMap || currentKMap; //In the multi-output mode, the code has an output for each function.
+    if (language == "vhdl"){
+        if (testbench) downloadText("kmap_tb.vhd", source.toVHDLTestbench(), "text/x-vhdl");
+        else downloadText("kmap.vhd", source.toVHDL(), "text/x-vhdl");
+    }else{
+        if (testbench) downloadText("kmap_tb.v", source.toVerilogTestbench(), "text/x-verilog");
+        else downloadText("kmap.v", source.toVerilog(), "text/x-verilog");
+    }
+}
+
+
+/**
+* Sets the title and notes of the page's K-Map from the page's text fields, to be saved with it.
+*
+* @method changeMapInfo
+*/
+function changeMapInfo(){
+    currentKMap.title = document.getElementById("MapTitle").value;
+    currentKMap.notes = document.getElementById("MapNotes").value;
+}
+
+
+/**
+* Renames the variables and the output of the page's K-Map from the page's text fields, where the names of the variables
+* are separated by commas or spaces. Nothing is renamed if one of the names cannot be used (see checkNames), and the error is shown instead.
+* In the multi-output mode, the output being edited is renamed.
+*
+* @method changeNames
+*/
+function changeNames(){
+    var names = document.getElementById("VarNamesInput").value.split(/[\s,]+/).filter(function(name){ return name !== ""; });
+    var output = document.getElementById("OutputNameInput").value.trim();
+    try{
+        if (names.length != currentKMap.numVar) throw new RangeError("Give one name for each of the " + currentKMap.numVar + " variables.");
+        if (output === "" && !multiKMap) output = defaultOutputName(names); //An empty output name gives the default one back.
+        checkNames(names, output);
+        if (multiKMap) multiKMap.checkOutputName(output, outputIndex);
+    }catch(e){
+        document.getElementById("NamesError").textContent = e.message;
+        return;
+    }
+    document.getElementById("NamesError").textContent = "";
+    recordEdit();
+    currentKMap.varNames = names.concat(currentKMap.varNames.slice(currentKMap.numVar));
+    if (multiKMap) multiKMap.renameOutput(outputIndex, output);
+    else currentKMap.setOutputName(output);
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Downloads the page's K-Map as a JSON file (see writeMapFile).
+*
+* @method downloadMapFile
+*/
+function downloadMapFile(){
+    downloadText("kmap.json", writeMapFile(currentKMap), "application/json");
+}
+
+
+/**
+* Downloads the working collection of exercises as a JSON file (see writeCollectionFile), titled like the exercise sheet.
+*
+* @method downloadCollectionFile
+*/
+function downloadCollectionFile(){
+    downloadText("kmap-collection.json", writeCollectionFile(exerciseList, {title: document.getElementById("SheetTitle").value}), "application/json");
+}
+
+
+/**
+* Adds a copy of the page's K-Map to the working collection of exercises.
+*
+* @method addToCollection
+*/
+function addToCollection(){
+    exerciseList.push(currentKMap.clone());
+    saveCollection();
+    document.getElementById("ExerciseDiv").innerHTML = generateExerciseListHTML();
+}
+
+
+/**
+* Removes an exercise from the working collection.
+*
+* @method removeFromCollection
+* @param index {Integer} The place of the exercise in the list of exercises.
+*/
+function removeFromCollection(index){
+    exerciseList.splice(index, 1);
+    saveCollection();
+    document.getElementById("ExerciseDiv").innerHTML = generateExerciseListHTML();
+}
+
+
+/**
+* Opens the JSON file chosen in the page's file field (see readJSONFile): a K-Map file is opened in the K-Map,
+* and a collection replaces the working collection of exercises. Errors found in the file are shown instead.
+*
+* @method openJSONFile
+* @param input {Variable} The file field.
+*/
+function openJSONFile(input){
+    var error = document.getElementById("FileError");
+    if (!input.files || input.files.length === 0) return;
+    var reader = new FileReader();
+    reader.onload = function(){
+        var file;
+        try{
+            file = readJSONFile(reader.result);
+        }catch(e){
+            error.textContent = e.message;
+            return;
+        }
+        error.textContent = "";
+        if (file.collection){
+            exerciseList = file.maps;
+            if (file.title !== "") document.getElementById("SheetTitle").value = file.title;
+            saveCollection();
+            document.getElementById("ExerciseDiv").innerHTML = generateExerciseListHTML();
+            return;
+        }
+        file.maps[0].setForm(currentKMap.solutionForm);
+        file.maps[0].setEngine(currentKMap.solverEngine);
+        file.maps[0].setLaTeXBackEnd(currentKMap.latexBackEnd);
+        recordEdit();
+        currentKMap = file.maps[0];
+        resetPractice();
+        updateControls();
+        redraw();
+    };
+    reader.readAsText(input.files[0]);
+    input.value = ""; //The same file can then be opened again.
+}
+
+
+/**
+* Saves the working collection of exercises in the browser's local storage, so that it is kept when the page is reloaded.
+*
+* @method saveCollection
+*/
+function saveCollection(){
+    try{
+        window.localStorage.setItem(collectionStorageKey, writeCollectionFile(exerciseList, {title: document.getElementById("SheetTitle").value}));
+    }catch(e){} //The local storage may be unavailable or full, in which case the collection is simply not saved.
+}
+
+
+/**
+* Restores the working collection of exercises saved in the browser's local storage (see saveCollection), if any.
+*
+* @method restoreCollection
+*/
+function restoreCollection(){
+    var file;
+    try{
+        var text = window.localStorage.getItem(collectionStorageKey);
+        if (text === null) return;
+        file = readJSONFile(text);
+    }catch(e){ return; }
+    exerciseList = file.maps;
+    if (file.title !== "") document.getElementById("SheetTitle").value = file.title;
+    document.getElementById("ExerciseDiv").innerHTML = generateExerciseListHTML();
+}
+
+
+/**
+* Shows one of the minimal covers of the K-Map as its solution (see selectCover).
+*
+* @method selectMinimalCover
+* @param index {Integer} The place of the cover in the list of minimal covers.
+*/
+function selectMinimalCover(index){
+    currentKMap.selectCover(index);
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Updates the page's controls (number of variables, "don't care" symbols, solver, solution form and names) to match the K-Map.
+*
+* @method updateControls
+*/
+function updateControls(){
+    for (var n=2; n<=maxGridVar; n++){
+        document.getElementById("Var"+n).checked = (currentKMap.numVar==n)?true:false;
+    }
+    document.getElementById("DontCare").checked = currentKMap.allowDC;
+    document.getElementById("EngineEspresso").checked = (currentKMap.solverEngine == "espresso");
+    document.getElementById("EngineExact").checked = (currentKMap.solverEngine == "exact");
+    document.getElementById("FormSOP").checked = (currentKMap.solutionForm == "SOP");
+    document.getElementById("FormPOS").checked = (currentKMap.solutionForm == "POS");
+    document.getElementById("LaTeXBackEnd").value = currentKMap.latexBackEnd;
+    document.getElementById("MapTitle").value = currentKMap.title;
+    document.getElementById("MapNotes").value = currentKMap.notes;
+    document.getElementById("VarNamesInput").value = currentKMap.varNames.slice(0, currentKMap.numVar).join(" ");
+    document.getElementById("OutputNameInput").value = currentKMap.outputName;
+    document.getElementById("MultiOutput").checked = (multiKMap !== null);
+    var options = "";
+    for (var k=0; k<currentKMap.numVar; k++) options += "<option value='" + k + "'>" + escapeHTML(currentKMap.varNames[k]) + "</option>";
+    document.getElementById("ShiftVariable").innerHTML = options;
+}
+
+
+/**
+* Opens the K-Map encoded in the page's URL (see setURLHash), if any, then draws it.
+* This is done when the page is loaded, and when moving back or forward through the edits of the K-Map.
+* A link that cannot be read keeps the current K-Map, and the reason is shown below it.
+*
+* @method openURLHash
+*/
+function openURLHash(){
+    if (window.location.hash.length > 1){
+        var error = document.getElementById("LinkError");
+        try{
+            currentKMap.setURLHash(window.location.hash);
+            error.textContent = "";
+            resetPractice();
+            updateControls();
+        }catch(e){
+            error.textContent = "The link could not be opened: " + e.message;
+        }
+    }
+    redraw();
+}
+
+
+/**
+* Writes the state of the page's K-Map in the URL (see toURLHash), adding an entry to the browser's history
+* when the K-Map was modified, so that it can be shared and that the back and forward buttons move through its edits.
+* A link holds a single K-Map: in the multi-output mode, the URL is left as it is.
+*
+* @method saveURLHash
+*/
+function saveURLHash(){
+    if (!window.history || !window.history.pushState || multiKMap) return;
+    var hash = "#" + currentKMap.toURLHash();
+    if (window.location.hash == hash) return;
+    try{
+        if (window.location.hash.length > 1) window.history.pushState(null, "", hash);
+        else window.history.replaceState(null, "", hash); //The first state of the K-Map replaces the page's plain URL.
+    }catch(e){} //Some browsers do not allow rewriting the URL of a local file.
+}
+
+
+/**
+* Modifies an entry in the K-Map, switching its value attribute (an integer)
+* between 0 (false), 1 (true), and 2 (don't care), or setting it to paintValue if one is chosen.
+* In practice mode, the entry is selected for the group being drawn instead.
+*
+* @method modifyKMEntry
+* @param entry {Variable} A reference to an entry of the K-Map.
+*/
+function modifyKMEntry(entry){
+    if (practiceMode){ togglePracticeCell(entry.Minterm); return; }
+    //The space was already painted if the click ended a stroke (see startPaint).
+    if (paintValue !== null){ setKMEntry(entry, paintValue); return; }
+    recordEdit();
+    if (entry.Value === 0) currentKMap.set(entry.Minterm, 1);
+    else if (entry.Value === 1 && currentKMap.allowDC) currentKMap.set(entry.Minterm, 2);
+    else currentKMap.set(entry.Minterm, 0);
+    redraw();
+}
+
+//----------------------------------------------------------------------------------
+//----------------------FUNCTIONS FOR EDITING THE PAGE'S K-MAP----------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Records the state of the page's K-Map before an edit, so that the edit can be undone. The edits that were undone can no longer be redone.
+* The state holds the values of the K-Map, its number of variables, wether it allows for "don't care" symbols, and its names (see toJSON).
+*
+* @method recordEdit
+* @param [before] {String} The state of the K-Map before the edit, written with JSON.stringify, if the K-Map was already modified.
+*/
+function recordEdit(before){
+    undoHistory.push((before === undefined) ? JSON.stringify(currentKMap) : before);
+    if (undoHistory.length > maxUndoSteps) undoHistory.shift();
+    redoHistory = [];
+}
+
+
+/**
+* Forgets the edits of the page's K-Map, when another K-Map is edited (such as another output in the multi-output mode).
+*
+* @method clearEdits
+*/
+function clearEdits(){
+    undoHistory = [];
+    redoHistory = [];
+}
+
+
+/**
+* Puts the page's K-Map back in a recorded state (see recordEdit), keeping its form, solver and LaTeX package, then redraws it.
+*
+* @method restoreEdit
+* @param state {String} The recorded state.
+*/
+function restoreEdit(state){
+    currentKMap.setJSON(JSON.parse(state));
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Undoes the last edit of the page's K-Map, if any.
+*
+* @method undoEdit
+*/
+function undoEdit(){
+    if (undoHistory.length === 0) return;
+    redoHistory.push(JSON.stringify(currentKMap));
+    restoreEdit(undoHistory.pop());
+}
+
+
+/**
+* Redoes the last edit of the page's K-Map that was undone, if any.
+*
+* @method redoEdit
+*/
+function redoEdit(){
+    if (redoHistory.length === 0) return;
+    undoHistory.push(JSON.stringify(currentKMap));
+    restoreEdit(redoHistory.pop());
+}
+
+
+/**
+* Undoes or redoes an edit when Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z is pressed, unless a text field is being typed in.
+*
+* @method handleEditKeys
+* @param event {KeyboardEvent} The key pressed.
+*/
+function handleEditKeys(event){
+    var typing = /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName) && event.target.type != "button";
+    if (!(event.ctrlKey || event.metaKey) || typing) return;
+    var key = event.key.toLowerCase();
+    if (key == "z" && !event.shiftKey) undoEdit();
+    else if (key == "y" || key == "z") redoEdit();
+    else return;
+    event.preventDefault();
+}
+
+
+/**
+* Sets an entry of the K-Map to a value, allowing for "don't care" symbols if needed, then redraws the K-Map.
+* Nothing is done if the entry already holds the value.
+*
+* @method setKMEntry
+* @param entry {Variable} A reference to an entry of the K-Map.
+* @param value {Integer} The new value: 0 (false), 1 (true) or 2 (don't care).
+*/
+function setKMEntry(entry, value){
+    if (entry.Value === value) return;
+    recordEdit();
+    if (value === 2) currentKMap.setDontCare(true);
+    currentKMap.set(entry.Minterm, value);
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Returns the label read by screen readers for a space of the K-Map: its minterm, the values of the variables, and its value,
+* such as "Minterm 5, A = 0, B = 1, C = 0, D = 1: 1".
+*
+* @method getSpaceLabel
+* @param entry {Variable} A reference to an entry of the K-Map.
+* @return {String} The label of the space.
+*/
+function getSpaceLabel(entry){
+    return "Minterm " + entry.Minterm + ", " + currentKMap.writeAssignment(entry.Minterm) + ": " + ((entry.Value === 2) ? "don't care" : entry.Value);
+}
+
+
+/**
+* Moves the keyboard's focus to a space of the grid, which is then the one reached with the Tab key.
+*
+* @method focusCell
+* @param w {Integer} The column of the space in its level.
+* @param h {Integer} The row of the space.
+* @param d {Integer} The level of the space.
+*/
+function focusCell(w, h, d){
+    var entry = currentKMap.Map[d][w][h];
+    var previous = document.getElementById(currentKMap.getSpace(focusedMinterm).Button_id);
+    if (previous) previous.tabIndex = -1;
+    focusedMinterm = entry.Minterm;
+    var button = document.getElementById(entry.Button_id);
+    button.tabIndex = 0;
+    button.focus();
+}
+
+
+/**
+* Handles the keys pressed on a space of the grid: the arrow keys move to the next space (across the levels, and around the edges
+* of the K-Map, whose opposite edges are adjacent), and 0, 1 or X set the value of the space. Enter and Space click the space.
+*
+* @method handleCellKeys
+* @param event {KeyboardEvent} The key pressed.
+* @param entry {Variable} A reference to the entry of the K-Map the key was pressed on.
+*/
+function handleCellKeys(event, entry){
+    if (event.ctrlKey || event.metaKey || event.altKey) return; //Left to the browser, and to undo and redo (see handleEditKeys).
+    var kmap = currentKMap;
+    var w = kmap.Coords[entry.Minterm][0], h = kmap.Coords[entry.Minterm][1], d = kmap.Coords[entry.Minterm][2];
+    //The columns of the levels, side by side on the page, are numbered as a single row.
+    var column = d * kmap.Width + w, columns = kmap.nLevels * kmap.Width;
+    switch (event.key){
+        case "ArrowLeft": column = (column + columns - 1) % columns; break;
+        case "ArrowRight": column = (column + 1) % columns; break;
+        case "ArrowUp": h = (h + kmap.Height - 1) % kmap.Height; break;
+        case "ArrowDown": h = (h + 1) % kmap.Height; break;
+        case "0": case "1": case "x": case "X":
+            if (!practiceMode) setKMEntry(entry, (event.key == "0") ? 0 : (event.key == "1") ? 1 : 2);
+            event.preventDefault();
+            return;
+        default: return;
+    }
+    event.preventDefault();
+    focusCell(column % kmap.Width, h, Math.floor(column / kmap.Width));
+}
+
+
+/**
+* Chooses the value given to the spaces that are clicked or painted over.
+*
+* @method changePaintValue
+* @param value {String} "0", "1" or "2" for "don't care", or "" to switch the value of a clicked space to the next one.
+*/
+function changePaintValue(value){
+    paintValue = (value === "") ? null : parseInt(value, 10);
+}
+
+
+/**
+* Starts painting spaces with paintValue when the mouse button is pressed on a space of the grid: the spaces the mouse moves over
+* are then painted (see paintEntry) until the button is released (see endPaint). The whole stroke is undone at once.
+*
+* @method startPaint
+* @param entry {Variable} A reference to the entry of the K-Map that was pressed.
+*/
+function startPaint(entry){
+    if (practiceMode || paintValue === null) return;
+    recordEdit();
+    if (paintValue === 2 && !currentKMap.allowDC){
+        currentKMap.setDontCare(true);
+        updateControls();
+    }
+    painting = true;
+    paintEntry(entry);
+}
+
+
+/**
+* Paints a space of the grid with paintValue while a stroke is being painted. Only the space's buttons are updated:
+* the K-Map is solved and redrawn at the end of the stroke.
+*
+* @method paintEntry
+* @param entry {Variable} A reference to the entry of the K-Map the mouse moved over.
+*/
+function paintEntry(entry){
+    if (!painting || entry.Value === paintValue) return;
+    currentKMap.set(entry.Minterm, paintValue);
+    document.getElementById(entry.Button_id).value = " " + boolToBin(paintValue) + " ";
+    document.getElementById(entry.Row_id).value = " " + boolToBin(paintValue) + " ";
+}
+
+
+/**
+* Ends the stroke being painted, if any, when the mouse button is released anywhere on the page, and redraws the K-Map.
+*
+* @method endPaint
+*/
+function endPaint(){
+    if (!painting) return;
+    painting = false;
+    redraw();
+}
+
+
+/**
+* Edits the whole page's K-Map at once, then redraws it. The edit can be undone.
+*
+* @method bulkEdit
+* @param tool {String} "fill" to set every space to a value (see fill), "invert" (see invert), "unset" to set the spaces holding 0
+* to "don't care" (see fillUnset), "rotate" to rotate the variables (see rotateVariables), or "shift" to shift by a variable (see shiftVariable).
+* @param [option] {Integer} The value for "fill", the offset for "rotate", or the index of the variable for "shift".
+*/
+function bulkEdit(tool, option){
+    recordEdit();
+    switch (tool){
+        case "fill": currentKMap.fill(option); break;
+        case "invert": currentKMap.invert(); break;
+        case "unset": currentKMap.fillUnset(); break;
+        case "rotate": currentKMap.rotateVariables(option); break;
+        case "shift": currentKMap.shiftVariable(option); break;
+    }
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+// *****************************************************THIS IS THE MAIN THING***************************************************************************************************************
+//----------------------------------------------------------------------------------
+//----------------------FUNCTIONS FOR THE AESTHETICS OF THE GUI---------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+ * Sets the color for each space in the K-Map's HTML representation (and in the truth table) back to its normal value.
+ *
+ * @method setAllToNormalColor
+ */
+function setAllToNormalColor(){
+    if (currentKMap.numVar > maxGridVar) return; //There are no spaces to color without the grid view.
+    for (var d=0; d<currentKMap.nLevels; d++){
+        for (var h=0; h<currentKMap.Height; h++){
+            for (var w=0; w<currentKMap.Width; w++){
+                    document.getElementById(currentKMap.Map[d][w][h].Button_id).style.backgroundColor = normalColor;
+                    document.getElementById(currentKMap.Map[d][w][h].Row_id).style.backgroundColor = normalColor;
+    }}}
+}
+
+
+/**
+ * Sets the color of a group of spaces in the K-Map's HTML representation to a given color,
+ * along with the matching rows of the truth table.
+ *
+ * @method setColor
+ * @param nCube {Array} An array of coordinates corresponding to spaces in the K-Map, usually an n-cube.
+ * @param color {String} A string specifying the color that the set of spaces will take.
+ */
+function setColor(nCube,color){
+    if (currentKMap.numVar > maxGridVar) return; //There are no spaces to color without the grid view.
+    for(var i=0; i<nCube.length; i++){
+        var space = currentKMap.Map[nCube[i][2]][nCube[i][0]][nCube[i][1]];
+        document.getElementById(space.Button_id).style.backgroundColor = color;
+        document.getElementById(space.Row_id).style.backgroundColor = color;
+    }
+}
+
+
+/**
+ * Returns the sides of a space of the K-Map along which the outline of an n-cube is drawn: the sides whose neighbouring space
+ * is not part of the n-cube. At the edges of a level, the outline is left open when the n-cube wraps around to the opposite edge
+ * (like the loops of toSVG, see getCubeRuns). The outline of an n-cube spanning several levels is drawn on each of its levels.
+ *
+ * @method getOutlineSides
+ * @param nCube {Array} An array representing an n-cube's portion of the K-Map.
+ * @param w {Integer} The column of the space in its level.
+ * @param h {Integer} The row of the space.
+ * @param d {Integer} The level of the space.
+ * @return {Object} Wether the outline runs along each side of the space, as {left, right, top, bottom}, or null if the space is not part of the n-cube.
+ */
+KMap.prototype.getOutlineSides = function(nCube, w, h, d){
+    var has = function(w, h){
+        for (var s=0; s<nCube.length; s++){ if (nCube[s][0] == w && nCube[s][1] == h && nCube[s][2] == d) return true; }
+        return false;
+    };
+    if (!has(w, h)) return null;
+    var runs = this.getCubeRuns(nCube, d);
+    var columns = runs.columns, rows = runs.rows;
+    return {
+        left: (w > 0) ? !has(w-1, h) : !columns[0].openStart,
+        right: (w < this.Width-1) ? !has(w+1, h) : !columns[columns.length-1].openEnd,
+        top: (h > 0) ? !has(w, h-1) : !rows[0].openStart,
+        bottom: (h < this.Height-1) ? !has(w, h+1) : !rows[rows.length-1].openEnd
+    };
+};
+
+
+/**
+ * Returns the color of an n-cube of the cover in the overlay (see drawOverlay), which is also its color in the LaTeX code and in the images.
+ *
+ * @method getCubeColor
+ * @param index {Integer} The place of the n-cube in the list of cubes.
+ * @return {String} The RGB value of the color.
+ */
+function getCubeColor(index){
+    return cubeColorValues[cubeColors[index % cubeColors.length]];
+}
+
+
+/**
+ * Outlines each n-cube of the cover on the grid, in its own color, when overlayMode is on. The outlines are drawn inside the spaces,
+ * and those of overlapping n-cubes are drawn inside one another, so that each one can still be told apart.
+ *
+ * @method drawOverlay
+ */
+function drawOverlay(){
+    if (!overlayMode || currentKMap.numVar > maxGridVar) return;
+    var width = 2; //Width of an outline, in pixels.
+    for (var d=0; d<currentKMap.nLevels; d++){
+    for (var w=0; w<currentKMap.Width; w++){
+    for (var h=0; h<currentKMap.Height; h++){
+        var shadows = [];
+        for (var i=0; i<currentKMap.nCubeList.length; i++){
+            var sides = currentKMap.getOutlineSides(currentKMap.nCubeList[i], w, h, d);
+            if (sides === null) continue;
+            //Shadows listed first are drawn on top: the inner outlines are listed last, and are thicker so that they show past the outer ones.
+            var t = width * (1 + i % 4) + "px", color = getCubeColor(i);
+            if (sides.left) shadows.push({depth: i % 4, value: "inset " + t + " 0 0 " + color});
+            if (sides.right) shadows.push({depth: i % 4, value: "inset -" + t + " 0 0 " + color});
+            if (sides.top) shadows.push({depth: i % 4, value: "inset 0 " + t + " 0 " + color});
+            if (sides.bottom) shadows.push({depth: i % 4, value: "inset 0 -" + t + " 0 " + color});
+        }
+        shadows.sort(function(a, b){ return a.depth - b.depth; });
+        document.getElementById(currentKMap.Map[d][w][h].Button_id).style.boxShadow = shadows.map(function(shadow){ return shadow.value; }).join(", ");
+    }}}
+}
+
+
+/**
+ * Returns the style of a term of the solution in the overlay mode, framed in the color of its n-cube (see drawOverlay).
+ *
+ * @method getOverlayStyle
+ * @param index {Integer} The place of the term's n-cube in the list of cubes.
+ * @return {String} The style attribute, starting with a space, or nothing outside of the overlay mode.
+ */
+function getOverlayStyle(index){
+    if (!overlayMode) return "";
+    return " style='border: 3px solid " + getCubeColor(index) + "; border-radius: 6px; padding: 0 2px; background-color: white'";
+}
+
+
+/**
+ * Switches the overlay of the n-cubes on the grid on or off (see drawOverlay).
+ *
+ * @method switchOverlayMode
+ */
+function switchOverlayMode(){
+    overlayMode = !overlayMode;
+    document.getElementById("OverlayMode").checked = overlayMode;
+    redraw();
+}
+
+/**
+ * Redraws the HTML display of the KMap and its solution, solving the K-Map if it was modified.
+ *
+ * @method redraw
+ */
+function redraw(){
+    if (multiKMap){
+        //Changes of the number of variables, "don't care" setting or form of the K-Map are passed on to the other outputs.
+        multiKMap.setOutput(outputIndex, currentKMap);
+        multiKMap.update();
+    }
+    currentKMap.update();
+    saveURLHash();
+    document.getElementById("UndoButton").disabled = (undoHistory.length === 0);
+    document.getElementById("RedoButton").disabled = (redoHistory.length === 0);
+    document.getElementById("OutputsDiv").innerHTML = generateOutputsHTML();
+    //A space of the grid that had the keyboard's focus keeps it once the grid is drawn again.
+    var gridFocused = (document.activeElement !== null && /^KM/.test(document.activeElement.id));
+    if (focusedMinterm >= currentKMap.Coords.length) focusedMinterm = 0;
+    document.getElementById("KMapDiv").innerHTML = generateKMapHTML();
+    if (gridFocused && currentKMap.numVar <= maxGridVar) document.getElementById(currentKMap.getSpace(focusedMinterm).Button_id).focus();
+    document.getElementById("TruthTableDiv").innerHTML = generateTruthTableHTML();
+    setAllToNormalColor(); //The new spaces are set to their normal, non-selected color.
+    document.getElementById("EquivalenceDiv").innerHTML = generateEquivalenceHTML();
+    if (practiceMode){
+        colorPracticeGroups();
+        document.getElementById("SolutionDiv").innerHTML = generatePracticeHTML();
+        document.getElementById("LaTeXCode").value = currentKMap.generateLaTeXCode(false);
+        return;
+    }
+    if (stepsMode){
+        //The steps are only recorded again when the K-Map was solved again since the last redraw.
+        solverSteps = currentKMap.getEspressoSteps();
+        stepIndex = Math.min(stepIndex, solverSteps.length - 1);
+        colorSolverStep();
+        document.getElementById("SolutionDiv").innerHTML = generateStepsHTML();
+        document.getElementById("LaTeXCode").value = currentKMap.toLaTeX();
+        return;
+    }
+    document.getElementById("SolutionDiv").innerHTML = generateSolutionHTML();
+    drawOverlay();
+    colorDifferences();
+    document.getElementById("LaTeXCode").value = multiKMap ? multiKMap.toLaTeX(currentKMap.latexBackEnd) : currentKMap.toLaTeX();
+}
+
+
+/**
+ * Generates a new HTML code for the K-Map. The map is displayed as a matrix of clickable buttons.
+ *
+ * @method generateKMapHTML
+ * @return {String} The new HTML code for the K-Map.
+ */
+ function generateKMapHTML() {
+     var text = "<center></center>";
+     text += "\n<center></center>";
+     text += "<center><small>An exportable LaTeX code for the current K-Map <a href='#LaTeX'>is available below</a>.</small></center><br /><center>";
+     var h,w,d; //Using a 3D table helps to account for 5 variables or more;
+
+     if (currentKMap.numVar > maxGridVar){
+         text += "<small>K-Maps of more than " + maxGridVar + " variables are solved without a grid view.</small></center>";
+         return text;
+     }
+
+     //text += "<table border=1>";
+     //The spaces are reached with the arrow keys (see handleCellKeys): only the focused one is reached with the Tab key.
+     text += "<table role='grid' aria-label='K-Map of " + escapeHTML(currentKMap.writeFunctionName("text")) + ", arrow keys to move, 0, 1 or X to set a value'>";
+
+ 	//Width of the matrix
+ 	text += "<tr><th></th><th></th><th colspan="+currentKMap.Width*currentKMap.Height+2+">";
+ 	text += currentKMap.writeVarNames(0, currentKMap.nVarX+currentKMap.nVarLvl, "html");
+
+ 	text += "</th></tr>";
+ 	text += "<tr>";
+ 	text += "<th></th><th></th><th></th>";
+    for (d=0; d<currentKMap.nLevels; d++){
+ 	for (w=0; w<currentKMap.Width; w++){
+        if (w===0 && d>=1) text += "<th style='width:1mm'></th>";
+ 		text += "<th>"+currentKMap.getLevelBits(d)+toBinString(bitOrd[w],currentKMap.nVarX)+"</th>";
+    }}
+ 	text+="</tr>";
+
+ 	//Height of the matrix
+ 	for (h=0; h<currentKMap.Height; h++){
+ 		text = text + "<tr>";
+ 		if (h===0){
+            text += "<th rowspan="+currentKMap.Height+">";
+ 			text += currentKMap.writeVarNames(currentKMap.nVarX+currentKMap.nVarLvl, currentKMap.numVar, "html");
+            text += "<th rowspan="+currentKMap.Height+">";
+ 		}
+ 		text += "<th>"+toBinString (bitOrd[h],currentKMap.nVarY)+"</th>";
+
+ 		//Filling the matrix with buttons
+        for (d=0; d<currentKMap.nLevels; d++){
+ 		for (w=0; w<currentKMap.Width; w++){
+            if (w===0 && d>=1) text += "<th style='width:1mm'></th>";
+ 			text += "<td  ID='"+currentKMap.Map[d][w][h].TFD_id+"'; style='background-color:0xFF'>";
+ 			text += "<input ID="+currentKMap.Map[d][w][h].Button_id +" name="+currentKMap.Map[d][w][h].Button_id;
+            text += " type='button'  style='height:6mm;width:8mm' value=' "+ boolToBin(currentKMap.Map[d][w][h].Value);
+            text += " ' aria-label='" + escapeHTML(getSpaceLabel(currentKMap.Map[d][w][h])) + "'";
+            text += " tabindex=" + ((currentKMap.Map[d][w][h].Minterm == focusedMinterm) ? "0" : "-1");
+            text += " onClick=modifyKMEntry(currentKMap.Map["+d+"]["+w+"]["+h+"]); onKeyDown=handleCellKeys(event,currentKMap.Map["+d+"]["+w+"]["+h+"]);";
+            text += " onFocus=focusedMinterm=" + currentKMap.Map[d][w][h].Minterm + ";";
+            text += " onMouseDown=startPaint(currentKMap.Map["+d+"]["+w+"]["+h+"]); onMouseEnter=paintEntry(currentKMap.Map["+d+"]["+w+"]["+h+"]);></td>";
+ 		}}
+ 		text += "</tr>";
+ 	}
+    text += "</table>";
+ 	text+="</center></td></tr>";
+
+ 	return text;
+}
+
+
+/**
+ * Generates the HTML code for the truth table of the K-Map, with a row for each combination of the variables in binary order.
+ * Each row shows where its space lies in the K-Map (its column and row, whose bits follow the Gray code 00, 01, 11, 10),
+ * and its output is a button that modifies the K-Map like the matching button of the grid.
+ *
+ * @method generateTruthTableHTML
+ * @return {String} The HTML code for the truth table.
+ */
+function generateTruthTableHTML(){
+    if (currentKMap.numVar > maxGridVar) return "";
+    var kmap = currentKMap;
+    var text = "<center><small>Truth table</small><table>";
+    text += "<tr><th>m</th>";
+    for (var k=0; k<kmap.numVar; k++) text += "<th>" + formatName(kmap.varNames[k], "html") + "</th>";
+    text += "<th>" + formatName(kmap.outputName, "html") + "</th><th><small>K-Map column / row</small></th></tr>";
+    for (var m=0; m<kmap.Coords.length; m++){
+        var w = kmap.Coords[m][0], h = kmap.Coords[m][1], d = kmap.Coords[m][2];
+        var bits = toBinString(m, kmap.numVar);
+        text += "<tr><td>" + m + "</td>";
+        for (var b=0; b<bits.length; b++) text += "<td>" + bits[b] + "</td>";
+        text += "<td><input ID=" + kmap.Map[d][w][h].Row_id + " type='button' style='height:6mm;width:8mm' value=' " + boolToBin(kmap.Map[d][w][h].Value);
+        text += " ' aria-label='" + escapeHTML(getSpaceLabel(kmap.Map[d][w][h])) + "' onClick=modifyKMEntry(currentKMap.Map["+d+"]["+w+"]["+h+"]);></td>";
+        text += "<td><small>" + kmap.getLevelBits(d) + toBinString(bitOrd[w], kmap.nVarX);
+        if (kmap.nVarY > 0) text += " / " + toBinString(bitOrd[h], kmap.nVarY);
+        text += "</small></td></tr>";
+    }
+    text += "</table></center>";
+    return text;
+}
+
+
+/**
+* Returns, for a given n-cube, the state in which each logic variable is accepted.
+* Uses the binary strings related to each space covered by the n-cube, and compares them,
+* to know which logic variables are concerned, and in which state they are accepted.
+*
+* @method getCubeLogic
+* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
+* @return {Array} An array with, for each logic variable, 0 or 1 if the variable is fixed to that value in the n-cube, and 2 if it is not.
+*/
+KMap.prototype.getCubeLogic = function(nCube){
+	var ref = this.getSpaceBits(nCube[0][0], nCube[0][1], nCube[0][2]);
+	var logicFunct = [];
+	for(var x=0; x<ref.length; x++) logicFunct[x] = parseInt(ref[x]);
+	//N-cubes containing just one space will have a term given by a single binary string.
+	//The term from the first space is thus stored in logicFunct.
+	if (nCube.length >= 2){
+		//If the n-cube in fact covers more than one space, we compare the binary strings of new spaces with logicFunct.
+		//Whenever in those strings we find a bit that differs from the correspondent one in logicFunct, it is overwritten with a "2".
+		for (var i=1; i<nCube.length; i++){
+			ref = this.getSpaceBits(nCube[i][0], nCube[i][1], nCube[i][2]);
+			for (var j=0; j<ref.length; j++){
+				if (logicFunct[j] != parseInt(ref[j])) logicFunct[j] = 2;
+		}}
+	}
+	return logicFunct;
+};
+
+
+/**
+* Returns, for a given n-cube, its corresponding term in the cover's logic function (HTML version).
+* For a sum of products the term is a product of literals, for a product of sums it is a sum clause.
+*
+* If the mouse is hovered on the term, or if it is focused with the keyboard, its corresponding n-cube will light up on the K-Map.
+* Screen readers read the term in words (see getTermWords).
+*
+* @method getFunctionHTML
+* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
+* @param cubeId {Integer} The place of the n-cube in the list of cubes, used to generate interactive HTML code.
+* @return {String} A string representing a term in the logic function, related to the n-cube.
+*/
+function getFunctionHTML(nCube, cubeId){
+	var funct = "<span ID=" + cubeId + getHighlightHTML("currentKMap.nCubeList["+cubeId+"]") + getOverlayStyle(cubeId);
+    funct += " role='group' aria-label='Term " + (cubeId+1) + ": " + escapeHTML(getTermWords(nCube)) + "'>";
+    funct += getTermHTML(nCube);
+    funct += "</span>";
+	return funct;
+}
+
+
+/**
+* Returns the attributes of an HTML element that light up an n-cube on the K-Map while the mouse is hovered on the element,
+* or while it has the keyboard's focus (the element can be reached with the Tab key).
+*
+* @method getHighlightHTML
+* @param cube {String} The JavaScript code giving the n-cube, such as "currentKMap.nCubeList[0]".
+* @return {String} The attributes, starting with a space.
+*/
+function getHighlightHTML(cube){
+    var text = " tabindex='0' onMouseOver='setColor(" + cube + ",selectColor);' onMouseOut='setColor(" + cube + ",normalColor);'";
+    return text + " onFocus='setColor(" + cube + ",selectColor);' onBlur='setColor(" + cube + ",normalColor);'";
+}
+
+
+/**
+* Returns, for a given n-cube, its corresponding term in the cover's logic function written in words, to be read by screen readers:
+* complemented variables are read "not A", a product is read "not A and B", and a sum clause "either A or not B".
+*
+* @method getTermWords
+* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
+* @return {String} The term in words.
+*/
+function getTermWords(nCube){
+	var logicFunct = currentKMap.getCubeLogic(nCube);
+	var pos = (currentKMap.solutionForm == "POS");
+    var literals = [];
+	for (var k=0; k<logicFunct.length; k++){
+		if (logicFunct[k] === (pos ? 1 : 0)) literals.push("not " + currentKMap.varNames[k]);
+		else if (logicFunct[k] === (pos ? 0 : 1)) literals.push(currentKMap.varNames[k]);
+	}
+	if (literals.length === 0) return pos ? "0" : "1"; //Case where the n-cube is the whole map.
+	if (!pos) return literals.join(" and ");
+	return ((literals.length > 1) ? "either " : "") + literals.join(" or ");
+}
+
+
+/**
+* Returns the K-Map's solution written in words, to be read by screen readers, such as "F of A, B, C equals not A and B, or C"
+* (see getTermWords).
+*
+* @method getSolutionWords
+* @return {String} The solution in words.
+*/
+function getSolutionWords(){
+    var kmap = currentKMap;
+    var pos = (kmap.solutionForm == "POS");
+    var terms = kmap.nCubeList.map(getTermWords);
+    var text = kmap.outputName + " of " + kmap.varNames.slice(0, kmap.numVar).join(", ") + " equals ";
+    if (terms.length === 0) return text + (pos ? "1" : "0"); //Case where no spaces are covered.
+    return text + terms.join(pos ? ", and " : ", or ");
+}
+
+
+/**
+* Returns, for a given n-cube, its corresponding term in the cover's logic function, in HTML with overlined complemented variables.
+*
+* @method getTermHTML
+* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
+* @return {String} A string representing a term in the logic function, related to the n-cube.
+*/
+function getTermHTML(nCube){
+	var logicFunct = currentKMap.getCubeLogic(nCube);
+	//From logicFunct, we build the expression of the term with letters.
+	//If the bit corresponding to a logic variable A is 0, we write notA. If it is 1, we write A.
+	//If it is 2, we don't write anything (meaning we don't care about the variable A).
+	//In a sum clause (product of sums), the literals are complemented: 0 gives A, and 1 gives notA.
+	var pos = (currentKMap.solutionForm == "POS");
+	var funct = "";
+    var literals = [];
+	for (var k=0; k<logicFunct.length; k++){
+		if (logicFunct[k] === (pos ? 1 : 0)){
+			literals.push("<span style='text-decoration: overline'>" + formatName(currentKMap.varNames[k], "html") + "</span>");
+		}
+		else if (logicFunct[k] === (pos ? 0 : 1)){
+			literals.push(formatName(currentKMap.varNames[k], "html"));
+		}
+	}
+	if (literals.length === 0) funct += pos ? "0" : "1"; //Case where the n-cube is the whole map.
+	else if (pos) funct += "(" + literals.join(" + ") + ")";
+	else funct += literals.join(currentKMap.varNames.slice(0, currentKMap.numVar).every(function(name){ return name.length == 1; }) ? "" : " ");
+	return funct;
+}
+
+
+/**
+* Generates a new HTML code for the K-Map's solution (a logic function that expresses its cover by the n-cubes).
+*
+* @method generateSolutionHTML
+* @return {String} The new HTML code to show the cover's logic function.
+*/
+function generateSolutionHTML(){
+    currentKMap.update();
+    var text = "<h4><center>K-Map cover function:</center></h4>";
+    text+="<h2 aria-label='" + escapeHTML(getSolutionWords()) + "'><center>" + currentKMap.writeFunctionName("html") + " = ";
+    if (currentKMap.nCubeList.length === 0){ text += (currentKMap.solutionForm == "POS") ? "1" : "0"; } //Case where no spaces are covered.
+    else{ for (var i=0; i<currentKMap.nCubeList.length; i++){
+        text += getFunctionHTML(currentKMap.nCubeList[i], i);
+        if (i<currentKMap.nCubeList.length-1 && currentKMap.solutionForm != "POS") text += " + ";
+        //Code used for testing purposes, to express the cover as a list of n-cubes, rather than a function.
+        /*
+        text+="<li>n-cube #" + i + " : ";
+        for(var j=0; j<currentKMap.nCubeList[i].length; j++){
+            text +="(" + toBinString (bitOrd[currentKMap.nCubeList[i][j][0]],currentKMap.nVarX);
+            text += toBinString (bitOrd[currentKMap.nCubeList[i][j][1]],currentKMap.nVarY) + ") ";
+        }
+        text+="</li>\n";
+        */
+    }}
+    text+="</center></h2>";
+    text+="<center><small>PROTIP: Hover the mouse over each term in the equation, or reach it with the Tab key, to lighten up the corresponding n-cube.</small></center>";
+    text+="<center><small>" + escapeHTML(currentKMap.getMintermList("SOP")) + " &emsp; " + escapeHTML(currentKMap.getMintermList("POS")) + "</small></center>";
+    //In the multi-output mode, the cover is the joint one: the panels about the output's own covers are left out.
+    if (multiKMap) text+=generateMultiOutputHTML();
+    else{
+        if (primesPanelOpen) currentKMap.updateExact(); //Also lets generateEngineHTML compare the costs of both engines.
+        text+=generateEngineHTML();
+        text+=generatePrimesHTML();
+    }
+    text+=generateCircuitHTML();
+
+    return text;
+}
+
+
+/**
+* Generates the HTML code of the panel listing every prime implicant (with its term and the cells it covers, the essential ones being marked),
+* and every minimal cover, each of which can be shown on the K-Map and in the LaTeX code.
+* Hovering a prime implicant or a cover, or focusing a prime implicant with the keyboard, lights up its n-cubes on the K-Map.
+* The K-Map is only solved with the exact method for the panel once it is opened (see togglePrimesPanel).
+*
+* @method generatePrimesHTML
+* @return {String} The HTML code of the panel.
+*/
+function generatePrimesHTML(){
+    var kmap = currentKMap;
+    if (!primesPanelOpen && !kmap.exactSolved){
+        return "<center><details onToggle='togglePrimesPanel(this.open);'><summary><small>Prime implicants and minimal covers</small></summary></details></center>";
+    }
+    kmap.updateExact();
+    var covers = kmap.minimalCovers;
+    var text = "<center><details" + (primesPanelOpen ? " open" : "") + " onToggle='togglePrimesPanel(this.open);'>";
+    text += "<summary><small>" + plural(kmap.primeImplicants.length, "prime implicant") + " (" + kmap.essentialPrimes.length + " essential), ";
+    if (!kmap.coversMinimal) text += "cheapest cover found (the search was stopped before it could finish: it may not be minimal)</small></summary>";
+    else text += plural(covers.length, "minimal cover") + (kmap.coversTruncated ? " (the search was stopped there: there may be more)" : "") + "</small></summary>";
+    text += "<table><tr><th></th><th>Term</th><th>Cells</th><th></th></tr>";
+    for (var p=0; p<kmap.primeImplicants.length; p++){
+        var imp = kmap.primeImplicants[p];
+        var cells = [];
+        for (var m=0; m<kmap.Coords.length; m++){ if (implicantCovers(imp, m)) cells.push(m); }
+        var cube = "currentKMap.implicantToCube(currentKMap.primeImplicants[" + p + "])";
+        text += "<tr" + getHighlightHTML(cube) + " aria-label='P" + (p+1) + ": " + escapeHTML(getTermWords(kmap.implicantToCube(imp))) + "'>";
+        text += "<td>P" + (p+1) + "</td><td>" + getTermHTML(kmap.implicantToCube(imp)) + "</td>";
+        text += "<td><small>" + cells.join(", ") + "</small></td>";
+        text += "<td><small>" + ((kmap.essentialPrimes.indexOf(p) != -1) ? "essential" : "") + "</small></td></tr>";
+    }
+    text += "</table><ol>";
+    for (var c=0; c<covers.length; c++){
+        var shown = (kmap.solverEngine == "exact" && kmap.selectedCover == c);
+        text += "<li><input type='radio' name='minimalCover'" + (shown ? " checked" : "") + " onClick='selectMinimalCover(" + c + ");'> ";
+        text += covers[c].map(function(prime){ return "P" + (prime+1); }).join(", ") + ": ";
+        text += covers[c].map(function(prime){ return getTermHTML(kmap.implicantToCube(kmap.primeImplicants[prime])); }).join((kmap.solutionForm == "POS") ? "" : " + ");
+        text += "</li>";
+    }
+    text += "</ol></details></center>";
+    return text;
+}
+
+
+/**
+* Opens or closes the panel of prime implicants and minimal covers (see generatePrimesHTML),
+* drawing it again when it is opened before the K-Map was solved with the exact method.
+*
+* @method togglePrimesPanel
+* @param open {Boolean} Wether the panel is open.
+*/
+function togglePrimesPanel(open){
+    primesPanelOpen = open;
+    if (open && !currentKMap.exactSolved) redraw();
+}
+
+
+/**
+* Generates the HTML code stating which engine produced the solution,
+* and pointing out when the pseudo-ESPRESSO cover is not minimal.
+*
+* @method generateEngineHTML
+* @return {String} The HTML code describing the engine used for the solution.
+*/
+function generateEngineHTML(){
+    var text = "<center><small>Solved with: ";
+    if (currentKMap.solverEngine == "espresso") text += "pseudo-ESPRESSO method.";
+    else if (currentKMap.coversMinimal) text += "exact method (Quine-McCluskey + Petrick), cover of minimal cost.";
+    else text += "exact method (Quine-McCluskey + Petrick), stopped before it could finish: the cover shown may not be minimal.";
+    text += "</small></center>";
+    //The pseudo-ESPRESSO cover is only compared with the exact one once the K-Map was solved with the exact method.
+    var costs = currentKMap.engineCosts;
+    if (costs.exact !== null && (costs.espresso.terms > costs.exact.terms || costs.espresso.literals > costs.exact.literals)){
+        text += "<center><small>Note: the pseudo-ESPRESSO cover uses " + costs.espresso.terms + " terms and ";
+        text += costs.espresso.literals + " literals, while " + (currentKMap.coversMinimal ? "a minimal cover" : "the exact method's cover") + " only needs " + costs.exact.terms;
+        text += " terms and " + costs.exact.literals + " literals.</small></center>";
+    }
+    return text;
+}
+
+
+/**
+* Generates the HTML code of the panel drawing the logic circuit of the solution (see toCircuitSVG), in the realization chosen,
+* with the costs of the three realizations. Hovering a gate lights up its n-cube on the K-Map.
+*
+* @method generateCircuitHTML
+* @return {String} The HTML code of the panel.
+*/
+function generateCircuitHTML(){
+    var types = ["and-or", "nand-nand", "nor-nor"];
+    var names = {"and-or": "AND-OR", "nand-nand": "NAND-NAND", "nor-nor": "NOR-NOR"};
+    var text = "<center><details" + (circuitPanelOpen ? " open" : "") + " onToggle='circuitPanelOpen = this.open;'>";
+    text += "<summary><small>Logic circuit</small></summary>";
+    text += "<table><tr><th>Realization</th><th>Gates</th><th>Inverters</th><th>Gate inputs</th><th>Literals</th></tr>";
+    for (var t=0; t<types.length; t++){
+        var costs = currentKMap.getCircuit(types[t]).costs;
+        text += "<tr><td><label><input type='radio' name='circuitType'" + ((circuitType == types[t]) ? " checked" : "");
+        text += " onClick='changeCircuitType(\"" + types[t] + "\");'> " + names[types[t]] + "</label></td>";
+        text += "<td>" + costs.gates + "</td><td>" + costs.inverters + "</td><td>" + costs.gateInputs + "</td><td>" + costs.literals + "</td></tr>";
+    }
+    text += "</table>";
+    circuitCubes = currentKMap.getCircuit(circuitType).cubes;
+    text += currentKMap.toCircuitSVG(circuitType, true);
+    text += "<br><button onClick='downloadCircuit();'>Download circuit (SVG)</button></details></center>";
+    return text;
+}
+
+
+/**
+* Sets the realization of the logic circuit drawn on the page.
+*
+* @method changeCircuitType
+* @param type {String} "and-or", "nand-nand" or "nor-nor".
+*/
+function changeCircuitType(type){
+    circuitType = type;
+    redraw();
+}
+
+
+//----------------------------------------------------------------------------------
+//---------------------------FUNCTIONS FOR THE PRACTICE MODE------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+ * Switches the practice mode on or off. In practice mode, the solution is hidden, the values of the K-Map cannot be modified,
+ * and clicking the spaces selects them to draw groups, which can then be graded like a typed answer.
+ *
+ * @method switchPracticeMode
+ */
+function switchPracticeMode(){
+    practiceMode = !practiceMode;
+    document.getElementById("PracticeMode").checked = practiceMode;
+    if (practiceMode && stepsMode){
+        stepsMode = false;
+        document.getElementById("StepsMode").checked = false;
+    }
+    resetPractice();
+    redraw();
+}
+
+
+/**
+ * Forgets the groups drawn and the feedback given in practice mode, for instance when the K-Map changes.
+ *
+ * @method resetPractice
+ */
+function resetPractice(){
+    practiceSelection = [];
+    practiceGroups = [];
+    practiceFeedback = "";
+}
+
+
+/**
+ * Selects a space of the K-Map for the group being drawn in practice mode, or unselects it.
+ *
+ * @method togglePracticeCell
+ * @param minterm {Integer} The minterm of the space.
+ */
+function togglePracticeCell(minterm){
+    var index = practiceSelection.indexOf(minterm);
+    if (index == -1) practiceSelection.push(minterm);
+    else practiceSelection.splice(index, 1);
+    redraw();
+}
+
+
+/**
+ * Adds the selected spaces as a new group of the answer drawn in practice mode.
+ *
+ * @method addPracticeGroup
+ */
+function addPracticeGroup(){
+    if (practiceSelection.length === 0) return;
+    practiceGroups.push(practiceSelection.sort(function(x, y){ return x - y; }));
+    practiceSelection = [];
+    redraw();
+}
+
+
+/**
+ * Removes a group from the answer drawn in practice mode.
+ *
+ * @method removePracticeGroup
+ * @param index {Integer} The place of the group in the list of groups.
+ */
+function removePracticeGroup(index){
+    practiceGroups.splice(index, 1);
+    redraw();
+}
+
+
+/**
+ * Grades the answer drawn in practice mode, or the answer typed in its text field, and shows the feedback.
+ *
+ * @method checkPracticeAnswer
+ * @param typed {Boolean} Wether to grade the typed answer rather than the groups drawn.
+ */
+function checkPracticeAnswer(typed){
+    var result;
+    if (typed) practiceAnswer = document.getElementById("AnswerInput").value;
+    try{
+        if (typed) result = currentKMap.gradeExpression(practiceAnswer);
+        else result = currentKMap.gradeGroups(practiceGroups);
+    }catch(e){
+        practiceFeedback = "<center><small>" + escapeHTML(e.message) + "</small></center>";
+        redraw();
+        return;
+    }
+    practiceFeedback = "<center><b>";
+    if (result.minimal) practiceFeedback += "Correct, and minimal!";
+    else if (result.correct) practiceFeedback += "Correct, but not minimal.";
+    else practiceFeedback += "Not correct yet.";
+    practiceFeedback += "</b></center><ul>";
+    for (var i=0; i<result.diagnostics.length; i++) practiceFeedback += "<li><small>" + escapeHTML(result.diagnostics[i].message) + "</small></li>";
+    practiceFeedback += "</ul>";
+    redraw();
+}
+
+
+/**
+ * Colors the groups drawn in practice mode on the K-Map, and the spaces currently selected.
+ *
+ * @method colorPracticeGroups
+ */
+function colorPracticeGroups(){
+    var toCube = function(minterms){ return minterms.map(function(m){ return currentKMap.Coords[m]; }); };
+    for (var i=0; i<practiceGroups.length; i++) setColor(toCube(practiceGroups[i]), groupColors[i % groupColors.length]);
+    setColor(toCube(practiceSelection), selectColor);
+}
+
+
+/**
+* Escapes the characters of a text that have a meaning in HTML, to show it as is in the page.
+*
+* @method escapeHTML
+* @param text {String} The text to escape.
+* @return {String} The escaped text.
+*/
+function escapeHTML(text){
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+
+/**
+ * Generates the HTML code of the practice mode, shown instead of the solution: the groups drawn, the field to type an answer, and the feedback.
+ *
+ * @method generatePracticeHTML
+ * @return {String} The HTML code of the practice mode.
+ */
+function generatePracticeHTML(){
+    var pos = (currentKMap.solutionForm == "POS");
+    var text = "<h4><center>Practice: find a minimal " + (pos ? "product of sums" : "sum of products") + "</center></h4>";
+    text += "<center><small>Click the cells of a group (the " + (pos ? "0" : "1") + " values, and \"don't care\" values if useful), then add the group. ";
+    text += "Or type your answer below.</small></center>";
+    text += "<center><input type='button' value='Add group' onClick='addPracticeGroup();'> ";
+    text += "<input type='button' value='Check groups' onClick='checkPracticeAnswer(false);'></center>";
+    text += "<ol>";
+    for (var i=0; i<practiceGroups.length; i++){
+        var imp = currentKMap.groupToImplicant(practiceGroups[i]);
+        text += "<li><span style='color:" + groupColors[i % groupColors.length] + "'>";
+        text += (imp === null) ? "cells " + practiceGroups[i].join(", ") : currentKMap.implicantToText(imp);
+        text += "</span> <input type='button' value='Remove' onClick='removePracticeGroup(" + i + ");'></li>";
+    }
+    text += "</ol>";
+    text += "<center>" + currentKMap.writeFunctionName("html") + " = <input type='text' id='AnswerInput' size='40' placeholder=\"" + (pos ? "(A + B')(C + D)" : "A'B + CD") + "\"";
+    text += " value='" + escapeHTML(practiceAnswer) + "' onInput='practiceAnswer = this.value;' onKeyDown='if (event.keyCode == 13){ checkPracticeAnswer(true); return false; }'> ";
+    text += "<input type='button' value='Check answer' onClick='checkPracticeAnswer(true);'></center>";
+    text += practiceFeedback;
+    return text;
+}
+
+
+//----------------------------------------------------------------------------------
+//------------------------FUNCTIONS FOR THE EQUIVALENCE CHECK-----------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+ * Checks the expressions typed in the page's equivalence fields against each other, or the first one against the K-Map when the second one is empty
+ * (see compareExpression), or shows why one of them could not be read, pointing at the position of the error.
+ * The check is then done again each time the K-Map is drawn, until the first field is emptied.
+ *
+ * @method checkEquivalence
+ */
+function checkEquivalence(){
+    var inputs = [document.getElementById("EquivalenceInput1").value, document.getElementById("EquivalenceInput2").value];
+    var error = document.getElementById("EquivalenceError");
+    error.textContent = "";
+    if (inputs[0].trim() === ""){
+        equivalenceTexts = null;
+        redraw();
+        return;
+    }
+    if (inputs[1].trim() === "") inputs[1] = null;
+    for (var i=0; i<2; i++){
+        if (inputs[i] === null) continue;
+        try{
+            parseExpression(inputs[i], currentKMap.varNames.slice(0, KLvl.length-1));
+        }catch(e){
+            error.textContent = ((i === 0) ? "First" : "Second") + " expression: " + e.message;
+            if (e.position !== undefined) error.textContent += "\n" + inputs[i] + "\n" + new Array(e.position+1).join(" ") + "^";
+            return;
+        }
+    }
+    try{
+        if (inputs[1] === null) currentKMap.compareExpression(inputs[0]);
+        else currentKMap.compareExpression(inputs[0], inputs[1]);
+    }catch(e){
+        error.textContent = e.message;
+        return;
+    }
+    equivalenceTexts = inputs;
+    redraw();
+}
+
+
+/**
+ * Generates the HTML code of the equivalence check (see checkEquivalence): wether the functions are equivalent,
+ * and otherwise the first minterms where they differ, with the values of the variables and of both functions.
+ * The minterms where they differ are kept in equivalenceDifferences.
+ *
+ * @method generateEquivalenceHTML
+ * @return {String} The HTML code of the check, empty if no check is shown.
+ */
+function generateEquivalenceHTML(){
+    equivalenceDifferences = [];
+    if (equivalenceTexts === null) return "";
+    var result;
+    try{
+        result = (equivalenceTexts[1] === null) ? currentKMap.compareExpression(equivalenceTexts[0]) : currentKMap.compareExpression(equivalenceTexts[0], equivalenceTexts[1]);
+    }catch(e){
+        //The names or the number of variables of the K-Map may have changed since the check.
+        return "<center><small>" + escapeHTML(e.message) + "</small></center>";
+    }
+    var mapCompared = (equivalenceTexts[1] === null);
+    var names = ["the first expression", mapCompared ? "the K-Map" : "the second expression"];
+    var free = (mapCompared && currentKMap.getMintermLists().dontCares.length > 0) ? " (the \"don't care\" cells are left free)" : "";
+    if (result.equivalent) return "<center><b>The functions are equivalent" + free + ".</b></center>";
+    //The minterms are only those of the grid when the functions have the K-Map's number of variables.
+    if (result.numVar == currentKMap.numVar) equivalenceDifferences = result.differences.map(function(diff){ return diff.minterm; });
+    var text = "<center><b>The functions are not equivalent" + free + ": they differ on " + plural(result.differences.length, "minterm") + ".</b></center><ul>";
+    for (var i=0; i<result.differences.length && i<maxListedDifferences; i++){
+        var diff = result.differences[i];
+        text += "<li><small>Minterm " + diff.minterm + ", " + currentKMap.writeAssignment(diff.minterm, "html", result.numVar) + ": "
+              + names[0] + " gives " + diff.values[0] + ", " + names[1] + " gives " + diff.values[1] + ".</small></li>";
+    }
+    if (result.differences.length > maxListedDifferences) text += "<li><small>... and " + plural(result.differences.length - maxListedDifferences, "more minterm") + ".</small></li>";
+    return text + "</ul>";
+}
+
+
+/**
+ * Highlights on the K-Map the spaces where the functions checked for equivalence differ (see equivalenceDifferences).
+ *
+ * @method colorDifferences
+ */
+function colorDifferences(){
+    setColor(equivalenceDifferences.map(function(m){ return currentKMap.Coords[m]; }), differenceColor);
+}
+
+
+//----------------------------------------------------------------------------------
+//---------------------FUNCTIONS FOR THE STEP-BY-STEP WALKTHROUGH-------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+ * Switches the step-by-step walkthrough of the pseudo-ESPRESSO algorithm on or off (see getEspressoSteps).
+ * The walkthrough is shown instead of the solution, and leaves the practice mode.
+ *
+ * @method switchStepsMode
+ */
+function switchStepsMode(){
+    stepsMode = !stepsMode;
+    document.getElementById("StepsMode").checked = stepsMode;
+    if (stepsMode && practiceMode){
+        practiceMode = false;
+        document.getElementById("PracticeMode").checked = false;
+        resetPractice();
+    }
+    stepIndex = 0;
+    redraw();
+}
+
+
+/**
+ * Moves through the steps of the walkthrough.
+ *
+ * @method moveStep
+ * @param offset {Integer} The number of steps to move by: 1 for the next one, -1 for the previous one.
+ */
+function moveStep(offset){
+    stepIndex = Math.max(0, Math.min(solverSteps.length - 1, stepIndex + offset));
+    redraw();
+}
+
+
+/**
+ * Colors the n-cubes of the current step of the walkthrough on the K-Map, and the spaces or n-cube it is focused on.
+ *
+ * @method colorSolverStep
+ */
+function colorSolverStep(){
+    var step = solverSteps[stepIndex];
+    if (!step) return;
+    for (var i=0; i<step.cubes.length; i++) setColor(step.cubes[i], groupColors[i % groupColors.length]);
+    if (step.focus) setColor(step.focus, selectColor);
+}
+
+
+/**
+ * Generates the HTML code of the walkthrough, shown instead of the solution: the current step, its explanation,
+ * the n-cubes it shows, and the buttons to move through the steps.
+ *
+ * @method generateStepsHTML
+ * @return {String} The HTML code of the walkthrough.
+ */
+function generateStepsHTML(){
+    var step = solverSteps[stepIndex];
+    var text = "<h4><center>How the pseudo-ESPRESSO algorithm finds the cover</center></h4>";
+    text += "<center><input type='button' value='Previous step' onClick='moveStep(-1);'" + ((stepIndex === 0) ? " disabled" : "") + "> ";
+    text += "Step " + (stepIndex + 1) + " of " + solverSteps.length;
+    text += " <input type='button' value='Next step' onClick='moveStep(1);'" + ((stepIndex == solverSteps.length - 1) ? " disabled" : "") + "></center>";
+    text += "<p><center>" + step.message + "</center></p><center>";
+    for (var i=0; i<step.cubes.length; i++){
+        text += "<span style='background-color:" + groupColors[i % groupColors.length] + "'>&nbsp;" + getTermHTML(step.cubes[i]) + "&nbsp;</span> ";
+    }
+    text += "</center>";
+    if (step.focus) text += "<center><small>The highlighted " + ((step.type == "remove") ? "group is the one removed" : "cell is the starting point") + ".</small></center>";
+    return text;
+}
+
+
+//----------------------------------------------------------------------------------
+//----------------------FUNCTIONS FOR THE MULTI-OUTPUT MODE-------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Switches the multi-output mode, in which the page's K-Map is one of several outputs minimized jointly (see MultiKMap).
+* The page's K-Map becomes the first output; when leaving the mode, the output being edited is kept as the page's K-Map.
+*
+* @method switchMultiOutput
+*/
+function switchMultiOutput(){
+    if (multiKMap){
+        multiKMap = null;
+    }else{
+        multiKMap = new MultiKMap(currentKMap.numVar, currentKMap.allowDC, 2);
+        multiKMap.setOutput(0, currentKMap);
+        outputIndex = 0;
+    }
+    clearEdits();
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Opens the K-Map of an output in the page, keeping the solver and LaTeX package in use.
+*
+* @method selectOutput
+* @param index {Integer} The place of the output in the outputs of multiKMap.
+*/
+function selectOutput(index){
+    var kmap = multiKMap.maps[index];
+    kmap.setEngine(currentKMap.solverEngine);
+    kmap.setLaTeXBackEnd(currentKMap.latexBackEnd);
+    currentKMap = kmap;
+    outputIndex = index;
+    clearEdits();
+    resetPractice();
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Adds an output with an empty K-Map, and opens it.
+*
+* @method addOutput
+*/
+function addOutput(){
+    try{
+        multiKMap.addOutput();
+    }catch(e){
+        document.getElementById("OutputError").textContent = e.message;
+        return;
+    }
+    selectOutput(multiKMap.maps.length - 1);
+}
+
+
+/**
+* Removes the output being edited, and opens the one before it.
+*
+* @method removeOutput
+*/
+function removeOutput(){
+    try{
+        multiKMap.removeOutput(outputIndex);
+    }catch(e){
+        document.getElementById("OutputError").textContent = e.message;
+        return;
+    }
+    selectOutput(Math.max(0, outputIndex - 1));
+}
+
+
+/**
+* Renames the output being edited (see MultiKMap.renameOutput), or shows why the name cannot be used.
+*
+* @method renameOutput
+* @param name {String} The new name of the output.
+*/
+function renameOutput(name){
+    try{
+        multiKMap.renameOutput(outputIndex, name);
+    }catch(e){
+        document.getElementById("OutputError").textContent = e.message;
+        return;
+    }
+    updateControls();
+    redraw();
+}
+
+
+/**
+* Generates the HTML code of the controls of the multi-output mode: a button to open each output, the name of the output being edited,
+* and buttons to add and remove outputs. There are no controls outside of the multi-output mode.
+*
+* @method generateOutputsHTML
+* @return {String} The HTML code of the controls.
+*/
+function generateOutputsHTML(){
+    if (!multiKMap) return "";
+    var text = "<p><center>Outputs : ";
+    for (var i=0; i<multiKMap.maps.length; i++){
+        text += "<input type='button' value='" + escapeHTML(multiKMap.maps[i].outputName) + "' onClick='selectOutput(" + i + ");'";
+        text += ((i == outputIndex) ? " style='font-weight: bold;' disabled" : "") + "> ";
+    }
+    text += "&emsp; Name of this output : <input type='text' id='OutputName' size='8' value='" + escapeHTML(currentKMap.outputName) + "' onChange='renameOutput(this.value);'> ";
+    text += "<input type='button' value='Add an output' onClick='addOutput();'" + ((multiKMap.maps.length >= maxOutputs) ? " disabled" : "") + "> ";
+    text += "<input type='button' value='Remove this output' onClick='removeOutput();'" + ((multiKMap.maps.length == 1) ? " disabled" : "") + ">";
+    text += "<br /><small id='OutputError'></small></center></p>";
+    return text;
+}
+
+
+/**
+* Generates the HTML code of the joint cover of every output: the logic function of each one, where the terms shared by several outputs
+* are in bold, and the cost of the joint cover compared with the outputs minimized alone.
+* Hovering a term lights up its n-cube on the K-Map being edited.
+*
+* @method generateMultiOutputHTML
+* @return {String} The HTML code of the joint cover.
+*/
+function generateMultiOutputHTML(){
+    var text = "<h4><center>Joint cover of the outputs:</center></h4>";
+    for (var i=0; i<multiKMap.maps.length; i++){
+        var kmap = multiKMap.maps[i];
+        text += "<center>" + kmap.writeFunctionName("html") + " = ";
+        if (kmap.nCubeList.length === 0) text += (kmap.solutionForm == "POS") ? "1" : "0"; //Case where no spaces are covered.
+        for (var j=0; j<kmap.nCubeList.length; j++){
+            var imp = kmap.cubeToImplicant(kmap.nCubeList[j]);
+            var users = multiKMap.terms.filter(function(term){ return term.value == imp.value && term.mask == imp.mask; })[0].outputs;
+            var cube = "multiKMap.maps[" + i + "].nCubeList[" + j + "]";
+            text += "<span" + getHighlightHTML(cube) + ((i == outputIndex) ? getOverlayStyle(j) : "") + " role='group' aria-label='" + escapeHTML(kmap.outputName + " term: " + getTermWords(kmap.nCubeList[j])) + "'";
+            if (users.length > 1){
+                var names = users.map(function(o){ return escapeHTML(multiKMap.maps[o].outputName); });
+                text += " title='Shared by " + names.join(", ") + "'><b>" + getTermHTML(kmap.nCubeList[j]) + "</b></span>";
+            }
+            else text += ">" + getTermHTML(kmap.nCubeList[j]) + "</span>";
+            if (j < kmap.nCubeList.length-1 && kmap.solutionForm != "POS") text += " + ";
+        }
+        text += "</center>";
+    }
+    var costs = multiKMap.costs;
+    text += "<center><small>The terms in bold are shared by several outputs. In all, the outputs use " + plural(costs.joint.terms, "term");
+    text += " and " + plural(costs.joint.literals, "literal") + ", against " + plural(costs.separate.terms, "term") + " and ";
+    text += plural(costs.separate.literals, "literal") + " when each output is minimized alone.</small></center>";
+    if (!multiKMap.minimal) text += "<center><small>The search for the cheapest joint cover was stopped before it could finish: the cover shown may not be minimal.</small></center>";
+    return text;
+}
+
+
+//----------------------------------------------------------------------------------
+//-----------------------FUNCTIONS FOR PRODUCING THE LATEX CODE---------------------
+//----------------------------------------------------------------------------------
+
+/**
+ * Writes a string of LaTeX code to use as the document's header.
+ * This sets the proper LaTeX configuration to display the K-Map, with the package of the chosen back-end,
+ * and the colors of the n-cubes (see cubeColors).
+ *
+ * @method writeDocHeader
+ * @param [backEnd="askmaps"] {String} The LaTeX package the K-Maps are written for (one of latexBackEnds).
+ * @return {String} The LaTeX code for displaying the n-cubes.
+ */
+function writeDocHeader(backEnd){
+    var code = "\\documentclass[a4paper,10pt]{ltxdoc}\n";
+    code += "\\usepackage[a4paper]{geometry}\n\n";
+    code += "\\usepackage[scaled=0.92]{helvet}\n";
+    code += "\\usepackage{sansmath}\n";
+    code += "\\usepackage{color}\n";
+    code += "\\usepackage{float}\n";
+    code += "\\usepackage{listings}\n";
+    code += "\\usepackage{array}\n\n";
+    if (backEnd == "karnaugh-map") code += "\\usepackage{karnaugh-map}\n\n";
+    else if (backEnd == "tikz") code += "\\usepackage{tikz}\n\n";
+    else code += "\\usepackage{askmaps}\n\n";
+
+    code += "\\definecolor{red}{rgb}{1,0,0}\n";
+    code += "\\definecolor{green}{rgb}{0,1,0}\n";
+    code += "\\definecolor{blue}{rgb}{0,0,1}\n";
+    code += "\\definecolor{darkred}{rgb}{0.5,0,0}\n";
+    code += "\\definecolor{darkgreen}{rgb}{0,0.5,0}\n";
+    code += "\\definecolor{darkblue}{rgb}{0,0,0.5}\n";
+    code += "\\definecolor{yellow}{rgb}{1,1,0}\n";
+    code += "\\definecolor{cyan}{rgb}{0,1,1}\n";
+    code += "\\definecolor{magenta}{rgb}{1,0,1}\n";
+    code += "\\definecolor{gray}{rgb}{0.5,0.5,0.5}\n";
+    code += "\\definecolor{orange}{rgb}{1,0.5,0}\n";
+    code += "\\definecolor{aqua}{rgb}{0,1,0.5}\n";
+    code += "\\definecolor{purple}{rgb}{0.5,0,1}\n";
+    code += "\\definecolor{fuschia}{rgb}{1,0,0.5}\n";
+    code += "\\definecolor{lime}{rgb}{0.5,1,0}\n";
+    code += "\\definecolor{azur}{rgb}{0,0.5,1}\n";
+    //The implicants of the karnaugh-map package take the colors of the n-cubes, in the same order.
+    if (backEnd == "karnaugh-map") code += "\\karnaughmapcolorfield{" + cubeColors.length + "}{" + cubeColors.join(",") + "}\n";
+
+    return code;
+}
+
+
+/**
+* Returns, for a given n-cube, its corresponding term in the cover's logic function (text version).
+* For a sum of products the term is a product of literals, for a product of sums it is a sum clause.
+*
+* @method getFunctionText
+* @param nCube {Array} An array representing an n-cube's portion of the K-Map.
+* @param [format="latex"] {String} "latex" to complement variables with an overline, "text" to complement them with a prime.
+* @return {String} A string representing a term in the logic function, related to the n-cube.
+*/
+KMap.prototype.getFunctionText = function(nCube, format){
+	var logicFunct = this.getCubeLogic(nCube);
+	var pos = (this.solutionForm == "POS");
+	var text = (format == "text");
+    var literals = [];
+	for (var k=0; k<logicFunct.length; k++){
+		if (logicFunct[k] === (pos ? 1 : 0)){
+			literals.push(text ? this.varNames[k] + "'" : "\\overline{" + formatName(this.varNames[k], "latex") + "}");
+		}
+        else if (logicFunct[k] === (pos ? 0 : 1)){
+			literals.push(formatName(this.varNames[k], text ? "text" : "latex"));
+		}
+	}
+	if (literals.length === 0) return pos ? "0" : "1"; //Case where the n-cube is the whole map.
+	//In plain text, the literals of a product are separated when a name has several characters ("Q1 Q0'" rather than "Q1Q0'").
+	var short = this.varNames.slice(0, this.numVar).every(function(name){ return name.length == 1; });
+	return pos ? "(" + literals.join(text ? " + " : "+") + ")" : literals.join((text && !short) ? " " : "");
+};
+
+
+/**
+* Writes the name of the K-Map's logic function, followed by its variables, such as "F(A,B,C,D)" (see formatName).
+*
+* @method writeFunctionName
+* @param [format="latex"] {String} "latex" for LaTeX code, "text" for plain text, "html" for HTML code.
+* @return {String} The name of the logic function.
+*/
+KMap.prototype.writeFunctionName = function(format){
+    if (format === undefined) format = "latex";
+    var names = this.varNames.slice(0, this.numVar).map(function(name){ return formatName(name, format); });
+    return formatName(this.outputName, format) + "(" + names.join(",") + ")";
+};
+
+
+/**
+* Writes the K-Map's solution (a logic function that expresses its cover by the n-cubes) as a string of text.
+* The function is a sum of products, or a product of sums if the 0 values are grouped.
+*
+* @method writeLogicFunction
+* @param [format="latex"] {String} "latex" for LaTeX code, "text" for plain text (see getFunctionText).
+* @return {String} The cover's logic function as a string of text.
+*/
+KMap.prototype.writeLogicFunction = function(format){
+    var plus = (format == "text") ? " + " : "+";
+    var text = this.writeFunctionName(format) + ((format == "text") ? " = " : "=");
+    if (this.nCubeList.length === 0){ text += (this.solutionForm == "POS") ? "1" : "0"; } //Case where no spaces are covered.
+    else{ for (var i=0; i<this.nCubeList.length; i++){
+        text += this.getFunctionText(this.nCubeList[i], format);
+        if (i<this.nCubeList.length-1 && this.solutionForm != "POS") text += plus;
+    }}
+    return text;
+};
+
+
+/**
+ * Finds, for an n-cube, the lowest or highest value for a space's for width, length, or depth, depending on the parameters.
+ *
+ * @method findExCoord
+ * @param nCube {Array} An array of spaces, representing an n-cube's portion of the K-Map.
+ * @param ex {Integer} The kind of extreme requested. Set to 0 for lowest, 1 for highest.
+ * @param coord {Integer} The kind of coordinate. Set to 0 for width, 1 for height, 2 for depth.
+ * @return {Integer} The lowest or highest such coordinate found in in the the n-cube.
+ */
+function findExCoord(nCube,ex,coord){
+    var size;
+    switch(ex){
+        case 0: size = 4; break;
+        case 1: size = 0; break;
+    }
+    for (var i=0; i<nCube.length; i++){ switch(ex){
+            case 0: if (size > nCube[i][coord]) size = nCube[i][coord]; break;
+            case 1: if (size < nCube[i][coord]) size = nCube[i][coord]; break;
+    }}
+    return size;
+}
+
+
+/**
+ * Checks if an n-cube covers spaces in a given level of the K-Map.
+ *
+ * @method cubeHasLevel
+ * @param nCube {Array} An array of spaces, representing an n-cube's portion of the K-Map.
+ * @param d {Integer} The index of the level.
+ * @return {Bool} Wether at least one space of the n-cube is in the level.
+ */
+function cubeHasLevel(nCube, d){
+    for (var i=0; i<nCube.length; i++){
+        if (nCube[i][2] == d) return true;
+    }
+    return false;
+}
+
+
+/**
+ * Writes a string of LaTeX code to display the n-cubes in the K-Map.
+ * The given levels are drawn side by side, each one 4 spaces to the right of the previous one.
+ *
+ * @method writeNCubes
+ * @param levels {Array} The indexes of the levels to draw (all of the levels if omitted).
+ * @return {String} The LaTeX code for displaying the n-cubes.
+ */
+KMap.prototype.writeNCubes = function(levels){
+    if (levels === undefined){
+        levels = [];
+        for (var x=0; x<this.nLevels; x++) levels.push(x);
+    }
+    var colors = cubeColors;
+    var code = "\n";
+    var goesOutW; //If the n-cube goes out of the K-Map and back in, widthwise.
+    var goesOutH; //If the n-cube goes out of the K-Map and back in, heightwise.
+    if (this.nCubeList.length !== 0){ for (var i=0; i<this.nCubeList.length; i++){
+        goesOutW = (this.nCubeList[i][0][0]==3 && findExCoord(this.nCubeList[i],0,0)===0);
+        goesOutH = (this.nCubeList[i][0][1]==3 && findExCoord(this.nCubeList[i],0,1)===0);
+        for(var d=0; d<levels.length; d++){ if (cubeHasLevel(this.nCubeList[i],levels[d])){
+            //For each depth level of the n-cube, if it exists.
+            code += "\\color{" + colors[i%16] + "}";
+            code += "\\put("+(4*d+this.nCubeList[i][0][0])+","+(this.Height-1-findExCoord(this.nCubeList[i],1,1))+".1)";
+            if(goesOutW && goesOutH){
+                code += "{\\dashbox{0.2}(0.8,0.8){}}\n";
+                code += "\\color{" + colors[i%16] + "}\\put("+(4*d)+",0.1){\\dashbox{0.2}(0.8,0.8){}}\n";
+                code += "\\color{" + colors[i%16] + "}\\put("+(4*d+3)+",3.1){\\dashbox{0.2}(0.8,0.8){}}\n";
+                code += "\\color{" + colors[i%16] + "}\\put("+(4*d)+",3.1){\\dashbox{0.2}(0.8,0.8){}}\n";
+            }else if(goesOutW){
+                code += "{\\dashbox{0.2}(0.8,"+(findExCoord(this.nCubeList[i],1,1)-findExCoord(this.nCubeList[i],0,1))+".8){}}\n";
+                code += "\\color{" + colors[i%16] + "}\\put("+(4*d)+","+(3-findExCoord(this.nCubeList[i],1,1))+".1)";
+                code += "{\\dashbox{0.2}(0.8,"+(findExCoord(this.nCubeList[i],1,1)-findExCoord(this.nCubeList[i],0,1))+".8){}}\n";
+            }else if(goesOutH){
+                code += "{\\dashbox{0.2}("+(findExCoord(this.nCubeList[i],1,0)-findExCoord(this.nCubeList[i],0,0))+".8,0.8){}}\n";
+                code += "\\color{" + colors[i%16] + "}\\put("+(4*d+this.nCubeList[i][0][0])+",3.1)";
+                code += "{\\dashbox{0.2}("+(findExCoord(this.nCubeList[i],1,0)-findExCoord(this.nCubeList[i],0,0))+".8,0.8){}}\n";
+            }else{
+                code += "{\\dashbox{0.2}("+(findExCoord(this.nCubeList[i],1,0)-findExCoord(this.nCubeList[i],0,0))+".8,";
+                code += (findExCoord(this.nCubeList[i],1,1)-findExCoord(this.nCubeList[i],0,1))+".8){}}\n";
+            }
+        }}
+    }}
+    return code;
+};
+
+
+/**
+ * Generates a LaTeX document containing a representation of the K-Map.
+ * The askmaps package draws K-Maps of up to 5 variables. Larger K-Maps are drawn as one 4-variable map per level,
+ * below their logic function.
+ * Without the cover, the map is titled by the function's name only (as in an exercise), and the K-Map does not need to be solved.
+ * The code is written for askmaps, unless another back-end is chosen (see generateKarnaughMapCode and generateTikZCode).
+ *
+ * @method generateLaTeXCode
+ * @param [withCover=true] {Boolean} Wether to write the cover's logic function and draw its n-cubes.
+ * @param [backEnd=latexBackEnd] {String} The LaTeX package the code is written for (one of latexBackEnds).
+ * @return {String} The LaTeX code that represents the K-Map.
+ */
+KMap.prototype.generateLaTeXCode = function(withCover, backEnd){
+    if (withCover === undefined) withCover = true;
+    if (backEnd === undefined) backEnd = this.latexBackEnd;
+    if (backEnd == "karnaugh-map") return this.generateKarnaughMapCode(withCover);
+    if (backEnd == "tikz") return this.generateTikZCode(withCover);
+    if (this.numVar > 5) return this.generateLevelsLaTeXCode(withCover);
+    var code = "{\\fontfamily{phv}\\selectfont\\sansmath\n";
+    code += "\\askmap";
+
+    //Number of variables.
+    switch(this.numVar){
+        case 2: code += "ii"; break;
+        case 3: code += "iii"; break;
+        case 4: code += "iv"; break;
+        case 5: code += "v"; break;
+    }
+    code += "{$";
+
+    //Solution (logic function).
+    code += withCover ? this.writeLogicFunction() : this.writeFunctionName();
+    code += "$}{";
+
+    //Variable names (names of several characters are grouped, so that each one labels a single variable).
+    for (var x=0; x<this.numVar; x++){
+        code += (this.varNames[x].length == 1) ? this.varNames[x] : "{" + formatName(this.varNames[x], "latex") + "}";
+    }
+    code += "}{}{";
+
+    //Content of the K-Map.
+    for (var d=0; d<this.nLevels; d++){
+    for (var w=0; w<this.Width; w++){
+    for (var h=0; h<this.Height; h++){
+    	code += boolToBin(this.Map[bitOrd[d]][bitOrd[w]][bitOrd[h]].Value);
+    }}}
+    code += "}{";
+
+    if (withCover) code += this.writeNCubes();
+    code += "}}\n\n";
 	return code;
+};
+
+
+/**
+ * Generates the LaTeX code of a K-Map of more than 5 variables: its logic function,
+ * followed by a 4-variable askmaps map for each level, labelled with the values of the level variables.
+ *
+ * @method generateLevelsLaTeXCode
+ * @param [withCover=true] {Boolean} Wether to write the cover's logic function and draw its n-cubes.
+ * @return {String} The LaTeX code that represents the K-Map.
+ */
+KMap.prototype.generateLevelsLaTeXCode = function(withCover){
+    if (withCover === undefined) withCover = true;
+    var code = "{\\fontfamily{phv}\\selectfont\\sansmath\n";
+    code += "$" + (withCover ? this.writeLogicFunction() : this.writeFunctionName()) + "$\n\n";
+    for (var d=0; d<this.nLevels; d++){
+        code += "\\askmapiv{$" + this.writeVarNames(0, this.nVarLvl, "latex") + "=" + this.getLevelBits(d) + "$}{";
+        for (var x=this.nVarLvl; x<this.numVar; x++){
+            code += (this.varNames[x].length == 1) ? this.varNames[x] : "{" + formatName(this.varNames[x], "latex") + "}";
+        }
+        code += "}{}{";
+        for (var w=0; w<this.Width; w++){
+        for (var h=0; h<this.Height; h++){
+            code += boolToBin(this.Map[d][bitOrd[w]][bitOrd[h]].Value);
+        }}
+        code += "}{";
+        if (withCover) code += this.writeNCubes([d]);
+        code += "}\n";
+    }
+    code += "}\n\n";
+    return code;
+};
+
+
+/**
+ * Splits the part of an n-cube lying in a level of the K-Map into runs of adjacent columns and rows (see getAxisRuns).
+ * An n-cube that wraps around the edges has two runs along the axis it wraps around.
+ *
+ * @method getCubeRuns
+ * @param nCube {Array} An array of spaces, representing an n-cube's portion of the K-Map.
+ * @param d {Integer} The index of the level.
+ * @return {Object} The runs {columns, rows}.
+ */
+KMap.prototype.getCubeRuns = function(nCube, d){
+    var columns = [], rows = [];
+    for (var s=0; s<nCube.length; s++){
+        if (nCube[s][2] != d) continue;
+        if (columns.indexOf(nCube[s][0]) == -1) columns.push(nCube[s][0]);
+        if (rows.indexOf(nCube[s][1]) == -1) rows.push(nCube[s][1]);
+    }
+    return {columns: getAxisRuns(columns, this.Width), rows: getAxisRuns(rows, this.Height)};
+};
+
+
+/**
+ * Returns the index of a space of a level in the karnaugh-map package, whose cells are numbered by the binary value
+ * of the variables of the rows followed by those of the columns.
+ *
+ * @method getKarnaughMapIndex
+ * @param w {Integer} The width coordinate of the space.
+ * @param h {Integer} The height coordinate of the space.
+ * @return {Integer} The index of the space in the package.
+ */
+KMap.prototype.getKarnaughMapIndex = function(w, h){
+    return bitOrd[h]*this.Width + bitOrd[w];
+};
+
+
+/**
+ * Writes the karnaugh-map package's commands that draw an n-cube in the given levels (submaps) of the K-Map:
+ * \implicant for a block of spaces, \implicantedge for a block that wraps around an edge, \implicantcorner for the four corners.
+ *
+ * @method writeImplicantCommand
+ * @param nCube {Array} An array of spaces, representing an n-cube's portion of the K-Map.
+ * @param d {Integer} The index of a level the n-cube lies in (its shape is the same in each of its levels).
+ * @param submaps {Array} The submaps the n-cube is drawn in, or an empty array for a single map.
+ * @return {String} The LaTeX code of the command.
+ */
+KMap.prototype.writeImplicantCommand = function(nCube, d, submaps){
+    var runs = this.getCubeRuns(nCube, d);
+    var cols = runs.columns, rows = runs.rows;
+    var self = this;
+    var corner = function(col, row){ return "{" + self.getKarnaughMapIndex(col, row) + "}"; };
+    var code;
+    if (cols.length > 1 && rows.length > 1) code = "\\implicantcorner";
+    else if (cols.length > 1){
+        code = "\\implicantedge" + corner(cols[0].start, rows[0].start) + corner(cols[0].end, rows[0].end);
+        code += corner(cols[1].start, rows[0].start) + corner(cols[1].end, rows[0].end);
+    }else if (rows.length > 1){
+        code = "\\implicantedge" + corner(cols[0].start, rows[0].start) + corner(cols[0].end, rows[0].end);
+        code += corner(cols[0].start, rows[1].start) + corner(cols[0].end, rows[1].end);
+    }else{
+        code = "\\implicant" + corner(cols[0].start, rows[0].start) + corner(cols[0].end, rows[0].end);
+    }
+    if (submaps.length > 0) code += "[" + submaps.join(",") + "]";
+    return code + "\n";
+};
+
+
+/**
+ * Generates the LaTeX code of the K-Map for the karnaugh-map package: its logic function, followed by a karnaugh-map environment
+ * with its values and an implicant for each n-cube. The package draws K-Maps of up to 6 variables, as 1, 2 or 4 submaps.
+ * Larger K-Maps are drawn as one 4-variable map per level, labelled with the values of the level variables.
+ *
+ * @method generateKarnaughMapCode
+ * @param [withCover=true] {Boolean} Wether to write the cover's logic function and draw its n-cubes.
+ * @return {String} The LaTeX code that represents the K-Map.
+ */
+KMap.prototype.generateKarnaughMapCode = function(withCover){
+    if (withCover === undefined) withCover = true;
+    var split = (this.numVar > 6); //Wether each level is drawn as a separate map.
+    var lvlNames = this.writeVarNames(0, this.nVarLvl, "latex");
+    var xNames = this.writeVarNames(this.nVarLvl, this.nVarLvl+this.nVarX, "latex");
+    var yNames = this.writeVarNames(this.nVarLvl+this.nVarX, this.numVar, "latex");
+    var code = "{\\fontfamily{phv}\\selectfont\\sansmath\n";
+    code += "$" + (withCover ? this.writeLogicFunction() : this.writeFunctionName()) + "$\n\n";
+    var maps = split ? this.nLevels : 1;
+    for (var m=0; m<maps; m++){
+        var levels = [];
+        if (split) levels.push(m);
+        else for (var x=0; x<this.nLevels; x++) levels.push(x);
+        if (split) code += "$" + lvlNames + "=" + this.getLevelBits(m) + "$\n";
+        code += "\\begin{karnaugh-map}[" + this.Width + "][" + this.Height + "][" + levels.length + "][$" + xNames + "$][$" + yNames + "$]";
+        if (!split && this.nLevels > 1) code += "[$" + lvlNames + "$]";
+        code += "\n";
+
+        //Values, in the order of the package's indexes (the level variables come first).
+        var values = [];
+        for (var l=0; l<levels.length; l++){
+        for (var w=0; w<this.Width; w++){
+        for (var h=0; h<this.Height; h++){
+            var submap = (levels.length > 1) ? parseInt(this.getLevelBits(levels[l]), 2) : 0;
+            values[submap*this.Width*this.Height + this.getKarnaughMapIndex(w, h)] = boolToBin(this.Map[levels[l]][w][h].Value);
+        }}}
+        code += "\\manualterms{" + values.join(",") + "}\n";
+
+        //Implicants, each one in the submaps it lies in.
+        if (withCover){ for (var i=0; i<this.nCubeList.length; i++){
+            var submaps = [], first = -1;
+            for (var k=0; k<levels.length; k++){ if (cubeHasLevel(this.nCubeList[i], levels[k])){
+                if (first == -1) first = levels[k];
+                submaps.push(parseInt(this.getLevelBits(levels[k]), 2));
+            }}
+            if (first == -1) continue;
+            code += this.writeImplicantCommand(this.nCubeList[i], first, (levels.length > 1) ? submaps : []);
+        }}
+        code += "\\end{karnaugh-map}\n\n";
+    }
+    code += "}\n\n";
+    return code;
+};
+
+
+/**
+ * Generates the LaTeX code of the K-Map as a TikZ picture, laid out like its image (see toSVG): its logic function, and for each level,
+ * the names of the variables, the headers of the columns and rows, the values, and a rounded loop for each n-cube,
+ * split when it wraps around the edges.
+ *
+ * @method generateTikZCode
+ * @param [withCover=true] {Boolean} Wether to write the cover's logic function and draw its n-cubes.
+ * @return {String} The LaTeX code that represents the K-Map.
+ */
+KMap.prototype.generateTikZCode = function(withCover){
+    if (withCover === undefined) withCover = true;
+    var W = this.Width, H = this.Height;
+    var lvlNames = this.writeVarNames(0, this.nVarLvl, "latex");
+    var xNames = this.writeVarNames(this.nVarLvl, this.nVarLvl+this.nVarX, "latex");
+    var yNames = this.writeVarNames(this.nVarLvl+this.nVarX, this.numVar, "latex");
+    var num = function(x){ return Number(x.toFixed(2)); };
+    var code = "{\\fontfamily{phv}\\selectfont\\sansmath\n";
+    code += "\\begin{tikzpicture}[x=8mm,y=8mm]\n";
+    code += "\\node[anchor=west] at (-1," + ((this.nLevels > 1) ? 2.6 : 1.8) + ") {$" + (withCover ? this.writeLogicFunction() : this.writeFunctionName()) + "$};\n";
+    for (var d=0; d<this.nLevels; d++){
+        code += "\\begin{scope}[shift={(" + (d % 4)*(W+2.5) + "," + (-Math.floor(d / 4)*(H+3.5)) + ")}]\n";
+        if (this.nLevels > 1) code += "\\node[anchor=west] at (-1,1.6) {$" + lvlNames + "=" + this.getLevelBits(d) + "$};\n";
+        code += "\\draw (-1,1) -- (0,0);\n";
+        code += "\\node at (-0.3,0.8) {\\small $" + xNames + "$};\n";
+        code += "\\node at (-0.8,0.25) {\\small $" + yNames + "$};\n";
+        for (var w=0; w<W; w++) code += "\\node at (" + (w+0.5) + ",0.3) {\\small " + toBinString(bitOrd[w], this.nVarX) + "};\n";
+        for (var h=0; h<H; h++) code += "\\node at (-0.4," + (-h-0.5) + ") {\\small " + toBinString(bitOrd[h], this.nVarY) + "};\n";
+        code += "\\draw (0," + (-H) + ") grid (" + W + ",0);\n";
+        for (h=0; h<H; h++){
+        for (w=0; w<W; w++){
+            code += "\\node at (" + (w+0.5) + "," + (-h-0.5) + ") {$" + boolToBin(this.Map[d][w][h].Value) + "$};\n";
+        }}
+        if (withCover){
+            //The loops are clipped to the grid, so that the split ones look open toward the edges.
+            code += "\\begin{scope}\n\\clip (0," + (-H) + ") rectangle (" + W + ",0);\n";
+            for (var i=0; i<this.nCubeList.length; i++){
+                if (!cubeHasLevel(this.nCubeList[i], d)) continue;
+                var color = cubeColors[i % cubeColors.length];
+                var inset = 0.1 + (i % 4)*0.08; //Overlapping loops are drawn inside one another.
+                var runs = this.getCubeRuns(this.nCubeList[i], d);
+                for (var c=0; c<runs.columns.length; c++){
+                for (var r=0; r<runs.rows.length; r++){
+                    var col = runs.columns[c], row = runs.rows[r];
+                    var x0 = col.start + inset - (col.openStart ? 0.5 : 0), x1 = col.end + 1 - inset + (col.openEnd ? 0.5 : 0);
+                    var y0 = -row.start - inset + (row.openStart ? 0.5 : 0), y1 = -row.end - 1 + inset - (row.openEnd ? 0.5 : 0);
+                    code += "\\draw[" + color + ",thick,rounded corners=2mm,fill=" + color + ",fill opacity=0.15] ";
+                    code += "(" + num(x0) + "," + num(y0) + ") rectangle (" + num(x1) + "," + num(y1) + ");\n";
+                }}
+            }
+            code += "\\end{scope}\n";
+        }
+        code += "\\end{scope}\n";
+    }
+    code += "\\end{tikzpicture}}\n\n";
+    return code;
+};
+
+
+/**
+ * Generates the LaTeX code of the K-Map of every output with its joint cover (see KMap.generateLaTeXCode),
+ * after a comment listing the terms shared by several outputs.
+ *
+ * @method generateLaTeXCode
+ * @param [withCover=true] {Boolean} Wether to write the covers' logic functions and draw their n-cubes.
+ * @param [backEnd] {String} The LaTeX package the code is written for (by default, the one of each output's K-Map).
+ * @return {String} The LaTeX code that represents the K-Maps.
+ */
+MultiKMap.prototype.generateLaTeXCode = function(withCover, backEnd){
+    if (withCover === undefined) withCover = true;
+    var code = "";
+    if (withCover){
+        var shared = this.getSharedTerms();
+        code += "% Outputs minimized jointly; " + (shared.length > 0 ? "terms shared by several outputs: " + shared.join(", ") : "no term is shared") + ".\n";
+    }
+    for (var i=0; i<this.maps.length; i++) code += this.maps[i].generateLaTeXCode(withCover, backEnd);
+    return code;
+};
+
+
+/**
+ * Returns the LaTeX code that displays the K-Map of every output and its joint cover (see generateLaTeXCode).
+ *
+ * @method toLaTeX
+ * @param [backEnd] {String} The LaTeX package the code is written for.
+ * @return {String} The LaTeX code for the K-Maps.
+ */
+MultiKMap.prototype.toLaTeX = function(backEnd){
+    this.update();
+    return this.generateLaTeXCode(true, backEnd);
+};
+
+
+//----------------------------------------------------------------------------------
+//--------------------FUNCTIONS FOR PRODUCING LATEX EXERCISE SHEETS-----------------
+//----------------------------------------------------------------------------------
+
+/**
+ * Escapes the characters of a text that have a special meaning in LaTeX, so that it is printed as is.
+ *
+ * @method escapeLaTeX
+ * @param text {String} The text to escape.
+ * @return {String} The escaped text.
+ */
+function escapeLaTeX(text){
+    var special = {"\\": "\\textbackslash{}", "{": "\\{", "}": "\\}", "$": "\\$", "&": "\\&", "#": "\\#",
+                   "%": "\\%", "_": "\\_", "^": "\\textasciicircum{}", "~": "\\textasciitilde{}"};
+    return text.replace(/[\\{}$&#%_^~]/g, function(c){ return special[c]; });
+}
+
+
+/**
+ * Writes the title block of an exercise sheet, followed by a line for the student's name and the date.
+ *
+ * @method writeSheetTitle
+ * @param title {String} The title of the sheet (plain text).
+ * @param [subtitle] {String} A line of text written below the title (plain text).
+ * @return {String} The LaTeX code of the title block.
+ */
+function writeSheetTitle(title, subtitle){
+    var code = "\\begin{center}\n";
+    code += "{\\Large\\bfseries " + escapeLaTeX(title) + "}\\\\[1ex]\n";
+    if (subtitle) code += escapeLaTeX(subtitle) + "\\\\[1ex]\n";
+    code += "\\end{center}\n";
+    code += "\\noindent Name: \\rule{7cm}{0.4pt} \\hfill Date: \\rule{3cm}{0.4pt}\n\n";
+    return code;
+}
+
+
+/**
+ * Writes one numbered exercise of a sheet: its statement and its K-Map, either without the cover (the exercise itself),
+ * or with the cover's logic function and n-cubes (its solution).
+ *
+ * @method writeExercise
+ * @param kmap {KMap} The K-Map of the exercise.
+ * @param index {Integer} The place of the exercise in the sheet, starting from 0.
+ * @param withCover {Boolean} Wether to write the solution.
+ * @param [backEnd="askmaps"] {String} The LaTeX package the K-Map is written for (one of latexBackEnds).
+ * @return {String} The LaTeX code of the exercise.
+ */
+function writeExercise(kmap, index, withCover, backEnd){
+    var code = "\\subsection*{Exercise " + (index+1) + "}\n";
+    if (withCover){
+        kmap.update();
+    }else{
+        code += "Find a minimal " + ((kmap.solutionForm == "POS") ? "product of sums" : "sum of products");
+        code += " for $" + kmap.getMintermList(kmap.solutionForm, "latex") + "$.\n\n";
+    }
+    code += "\\begin{center}\n" + kmap.generateLaTeXCode(withCover, backEnd || "askmaps") + "\\end{center}\n\n";
+    return code;
+}
+
+
+/**
+ * Writes a complete, compilable LaTeX document with a list of numbered exercises (K-Maps without their cover),
+ * followed by a section with their solutions, unless the solutions are written in a separate answer key (see writeAnswerKey).
+ *
+ * @method writeExerciseSheet
+ * @param kmaps {Array} The K-Maps of the exercises.
+ * @param [options] {Object} The options {title, subtitle, solutions, backEnd}; solutions is true by default,
+ * and backEnd is the LaTeX package the K-Maps are written for ("askmaps" by default, see latexBackEnds).
+ * @return {String} The LaTeX code of the exercise sheet.
+ */
+function writeExerciseSheet(kmaps, options){
+    options = options || {};
+    var code = writeDocHeader(options.backEnd);
+    code += "\n\\begin{document}\n\n";
+    code += writeSheetTitle(options.title || "Karnaugh Map exercises", options.subtitle);
+    code += "\\section*{Exercises}\n\n";
+    for (var i=0; i<kmaps.length; i++) code += writeExercise(kmaps[i], i, false, options.backEnd);
+    if (options.solutions !== false){
+        code += "\\newpage\n\\section*{Solutions}\n\n";
+        for (var j=0; j<kmaps.length; j++) code += writeExercise(kmaps[j], j, true, options.backEnd);
+    }
+    code += "\\end{document}\n";
+    return code;
+}
+
+
+/**
+ * Writes a complete, compilable LaTeX document with the solutions of a list of exercises, numbered like in their sheet.
+ *
+ * @method writeAnswerKey
+ * @param kmaps {Array} The K-Maps of the exercises.
+ * @param [options] {Object} The options {title, subtitle, backEnd} of the exercise sheet.
+ * @return {String} The LaTeX code of the answer key.
+ */
+function writeAnswerKey(kmaps, options){
+    options = options || {};
+    var code = writeDocHeader(options.backEnd);
+    code += "\n\\begin{document}\n\n";
+    code += writeSheetTitle((options.title || "Karnaugh Map exercises") + " (answer key)", options.subtitle);
+    code += "\\section*{Solutions}\n\n";
+    for (var i=0; i<kmaps.length; i++) code += writeExercise(kmaps[i], i, true, options.backEnd);
+    code += "\\end{document}\n";
+    return code;
+}
+
+
+//----------------------------------------------------------------------------------
+//--------------------FUNCTIONS FOR DRAWING THE K-MAP AS AN IMAGE-------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Splits the positions covered by an n-cube along an axis of the K-Map into runs of adjacent positions.
+* When the n-cube wraps around the axis (covering both of its ends, but not all of it), its runs are open toward the edges,
+* so that they can be drawn as the two halves of a single loop.
+*
+* @method getAxisRuns
+* @param positions {Array} The positions covered along the axis.
+* @param size {Integer} The size of the axis.
+* @return {Array} The runs, as objects {start, end, openStart, openEnd}.
+*/
+function getAxisRuns(positions, size){
+    var runs = [];
+    for (var p=0; p<size; p++){
+        if (positions.indexOf(p) == -1) continue;
+        if (runs.length > 0 && runs[runs.length-1].end == p-1) runs[runs.length-1].end = p;
+        else runs.push({start: p, end: p, openStart: false, openEnd: false});
+    }
+    if (runs.length > 1 && runs[0].start === 0 && runs[runs.length-1].end == size-1){
+        runs[0].openStart = true;
+        runs[runs.length-1].openEnd = true;
+    }
+    return runs;
+}
+
+
+/**
+* Draws the K-Map as a standalone SVG image: its logic function, and for each level, the names of the variables,
+* the headers of the columns and rows (in the order of the Gray code), and the values of the spaces.
+* Each n-cube of the cover is drawn as a rounded loop, in the colors of the LaTeX code (see cubeColors).
+* Loops that wrap around the edges are drawn split, open toward the edges, and n-cubes spanning several levels are drawn in each of them.
+*
+* @method toSVG
+* @param [withCover=true] {Boolean} Wether to write the cover's logic function and draw its n-cubes.
+* @return {String} The SVG code of the image.
+*/
+KMap.prototype.toSVG = function(withCover){
+    if (withCover === undefined) withCover = true;
+    if (withCover) this.update();
+    var cell = 40; //Size of a space, in pixels.
+    var perRow = Math.min(this.nLevels, 4); //Number of levels drawn side by side.
+    var caption = (this.nLevels > 1) ? 30 : 0; //Height of the caption giving the values of the level variables.
+    var blockW = 60 + this.Width*cell + 30;
+    var blockH = caption + 60 + this.Height*cell + 20;
+    var title = withCover ? this.writeLogicFunction("text") : this.writeFunctionName("text");
+    var width = Math.max(20 + perRow*blockW, 40 + title.length*10); //The title is about 10 pixels per character.
+    var height = 50 + Math.ceil(this.nLevels/perRow)*blockH;
+    var lvlNames = this.writeVarNames(0, this.nVarLvl, "text");
+    var xNames = this.writeVarNames(this.nVarLvl, this.nVarLvl+this.nVarX, "text");
+    var yNames = this.writeVarNames(this.nVarLvl+this.nVarX, this.numVar, "text");
+
+    var svg = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n";
+    svg += "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height + "\" viewBox=\"0 0 " + width + " " + height + "\"";
+    svg += " font-family=\"Helvetica, Arial, sans-serif\" font-size=\"16\">\n";
+    svg += "<rect width=\"" + width + "\" height=\"" + height + "\" fill=\"white\"/>\n";
+    svg += "<text x=\"20\" y=\"30\" font-size=\"18\">" + escapeHTML(title) + "</text>\n";
+
+    for (var d=0; d<this.nLevels; d++){
+        var ox = 20 + (d % perRow)*blockW;
+        var oy = 50 + Math.floor(d / perRow)*blockH;
+        if (caption > 0) svg += "<text x=\"" + (ox+60) + "\" y=\"" + (oy+18) + "\">" + escapeHTML(lvlNames) + " = " + this.getLevelBits(d) + "</text>\n";
+        var gx = ox + 60, gy = oy + caption + 60; //Top left corner of the grid.
+
+        //Names of the variables, on each side of the corner's diagonal.
+        svg += "<line x1=\"" + (gx-44) + "\" y1=\"" + (gy-44) + "\" x2=\"" + gx + "\" y2=\"" + gy + "\" stroke=\"black\"/>\n";
+        svg += "<text x=\"" + (gx-2) + "\" y=\"" + (gy-30) + "\" text-anchor=\"end\" font-size=\"14\">" + escapeHTML(xNames) + "</text>\n";
+        svg += "<text x=\"" + (gx-44) + "\" y=\"" + (gy-2) + "\" font-size=\"14\">" + escapeHTML(yNames) + "</text>\n";
+
+        //Headers and values.
+        for (var w=0; w<this.Width; w++){
+            svg += "<text x=\"" + (gx + w*cell + cell/2) + "\" y=\"" + (gy-8) + "\" text-anchor=\"middle\" font-size=\"14\">" + toBinString(bitOrd[w], this.nVarX) + "</text>\n";
+        }
+        for (var h=0; h<this.Height; h++){
+            svg += "<text x=\"" + (gx-8) + "\" y=\"" + (gy + h*cell + cell/2 + 5) + "\" text-anchor=\"end\" font-size=\"14\">" + toBinString(bitOrd[h], this.nVarY) + "</text>\n";
+            for (w=0; w<this.Width; w++){
+                svg += "<rect x=\"" + (gx + w*cell) + "\" y=\"" + (gy + h*cell) + "\" width=\"" + cell + "\" height=\"" + cell + "\" fill=\"white\" stroke=\"black\"/>";
+                svg += "<text x=\"" + (gx + w*cell + cell/2) + "\" y=\"" + (gy + h*cell + cell/2 + 6) + "\" text-anchor=\"middle\">" + boolToBin(this.Map[d][w][h].Value) + "</text>\n";
+            }
+        }
+        if (!withCover) continue;
+
+        //Loops of the n-cubes, clipped to the grid so that the split ones look open toward the edges.
+        svg += "<clipPath id=\"level" + d + "\"><rect x=\"" + gx + "\" y=\"" + gy + "\" width=\"" + this.Width*cell + "\" height=\"" + this.Height*cell + "\"/></clipPath>\n";
+        svg += "<g clip-path=\"url(#level" + d + ")\" stroke-width=\"3\">\n";
+        for (var i=0; i<this.nCubeList.length; i++){
+            if (!cubeHasLevel(this.nCubeList[i], d)) continue;
+            var color = cubeColorValues[cubeColors[i % cubeColors.length]];
+            var inset = 4 + (i % 4)*3; //Overlapping loops are drawn inside one another.
+            var runs = this.getCubeRuns(this.nCubeList[i], d);
+            var colRuns = runs.columns, rowRuns = runs.rows;
+            for (var c=0; c<colRuns.length; c++){
+            for (var r=0; r<rowRuns.length; r++){
+                var x0 = gx + colRuns[c].start*cell + inset - (colRuns[c].openStart ? cell/2 : 0);
+                var x1 = gx + (colRuns[c].end+1)*cell - inset + (colRuns[c].openEnd ? cell/2 : 0);
+                var y0 = gy + rowRuns[r].start*cell + inset - (rowRuns[r].openStart ? cell/2 : 0);
+                var y1 = gy + (rowRuns[r].end+1)*cell - inset + (rowRuns[r].openEnd ? cell/2 : 0);
+                svg += "<rect x=\"" + x0 + "\" y=\"" + y0 + "\" width=\"" + (x1-x0) + "\" height=\"" + (y1-y0) + "\" rx=\"12\"";
+                svg += " fill=\"" + color + "\" fill-opacity=\"0.12\" stroke=\"" + color + "\"/>\n";
+            }}
+        }
+        svg += "</g>\n";
+    }
+    svg += "</svg>\n";
+    return svg;
+};
+
+
+//----------------------------------------------------------------------------------
+//------------------------FUNCTIONS FOR PRODUCING HDL CODE--------------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Returns the names of the K-Map's variables and of its output, turned into identifiers that are valid in both Verilog and VHDL:
+* other characters than letters, digits and underscores are replaced, and names that would clash with a keyword
+* (see hdlReservedWords) or with another name (VHDL ignores case) are given a suffix.
+*
+* @method getHDLNames
+* @param [names] {Array} The names of the outputs, for several outputs (by default, the K-Map's outputName).
+* @return {Object} The names {inputs, output, outputs}: an array with a name for each variable, the name of the (first) output,
+* and an array with the name of each output.
+*/
+KMap.prototype.getHDLNames = function(names){
+    var used = [];
+    var identifier = function(name, fallback){
+        var id = name.replace(/[^A-Za-z0-9_]/g, "_").replace(/_+/g, "_").replace(/^_|_$/g, "");
+        if (id === "") id = fallback;
+        if (/^[0-9]/.test(id)) id = "v" + id;
+        if (hdlReservedWords.indexOf(id.toLowerCase()) != -1) id += "_v";
+        var unique = id, n = 2;
+        while (used.indexOf(unique.toLowerCase()) != -1){ unique = id + "_" + n; n++; }
+        used.push(unique.toLowerCase());
+        return unique;
+    };
+    var inputs = [];
+    for (var k=0; k<this.numVar; k++) inputs.push(identifier(this.varNames[k], "x" + k));
+    var outputs = (names || [this.outputName]).map(function(name){ return identifier(name, "F"); });
+    return {inputs: inputs, output: outputs[0], outputs: outputs};
+};
+
+
+/**
+* Writes the cover's logic function as an expression of Verilog or VHDL: a sum of products
+* (or a product of sums, if the 0 values are grouped) of the inputs.
+*
+* @method writeHDLExpression
+* @param language {String} "verilog" or "vhdl".
+* @param names {Array} The names of the inputs (see getHDLNames).
+* @return {String} The expression.
+*/
+KMap.prototype.writeHDLExpression = function(language, names){
+    var vhdl = (language == "vhdl");
+    var pos = (this.solutionForm == "POS");
+    var ops = vhdl ? {and: " and ", or: " or ", not: "not ", zero: "'0'", one: "'1'"} : {and: " & ", or: " | ", not: "~", zero: "1'b0", one: "1'b1"};
+    if (this.nCubeList.length === 0) return pos ? ops.one : ops.zero; //Case where no spaces are covered.
+    var terms = [];
+    for (var i=0; i<this.nCubeList.length; i++){
+        var logic = this.getCubeLogic(this.nCubeList[i]);
+        var literals = [];
+        for (var k=0; k<logic.length; k++){
+            if (logic[k] === 2) continue;
+            //In a product of sums, the sum clause holds the complement of each fixed variable.
+            literals.push(((logic[k] === 0) !== pos) ? ops.not + names[k] : names[k]);
+        }
+        if (literals.length === 0) return pos ? ops.zero : ops.one; //Case where the n-cube is the whole map.
+        terms.push((this.nCubeList.length > 1 && literals.length > 1) ? "(" + literals.join(pos ? ops.or : ops.and) + ")" : literals.join(pos ? ops.or : ops.and));
+    }
+    return terms.join(pos ? ops.and : ops.or);
+};
+
+
+/**
+* Writes the K-Map's values as a string of characters indexed by minterm ("0", "1", or the given character for "don't care" values).
+*
+* @method writeValueString
+* @param dontCare {String} The character of the "don't care" values.
+* @return {String} The values of the K-Map, the value of minterm 0 first.
+*/
+KMap.prototype.writeValueString = function(dontCare){
+    var text = "";
+    for (var m=0; m<this.Coords.length; m++) text += (this.get(m) == 2) ? dontCare : String(this.get(m));
+    return text;
+};
+
+
+/**
+* Writes a synthesizable Verilog module computing the covers' logic functions of one or more K-Maps of the same variables
+* (the outputs of a MultiKMap) with continuous assignments. The ports are named after the variables and the outputs (see getHDLNames).
+*
+* @method writeVerilogModule
+* @param kmaps {Array} The K-Maps, each one giving an output, already solved.
+* @param [name="kmap"] {String} The name of the module.
+* @return {String} The Verilog code of the module.
+*/
+function writeVerilogModule(kmaps, name){
+    if (name === undefined) name = "kmap";
+    var names = kmaps[0].getHDLNames(kmaps.map(function(kmap){ return kmap.outputName; }));
+    var code = "";
+    for (var i=0; i<kmaps.length; i++) code += "// " + kmaps[i].writeLogicFunction("text") + "\n";
+    code += "module " + name + " (\n";
+    for (var k=0; k<names.inputs.length; k++) code += "    input  wire " + names.inputs[k] + ",\n";
+    for (var o=0; o<names.outputs.length; o++) code += "    output wire " + names.outputs[o] + ((o < names.outputs.length-1) ? ",\n" : "\n");
+    code += ");\n";
+    for (var a=0; a<kmaps.length; a++) code += "    assign " + names.outputs[a] + " = " + kmaps[a].writeHDLExpression("verilog", names.inputs) + ";\n";
+    code += "endmodule\n";
+    return code;
+}
+
+
+/**
+* Writes a self-checking Verilog testbench for the module of writeVerilogModule: it applies every combination of the inputs,
+* and compares each output with the values of its K-Map, skipping the "don't care" values.
+* It reports the wrong outputs, then wether all tests passed (it runs in Icarus Verilog: iverilog kmap.v kmap_tb.v && vvp a.out).
+*
+* @method writeVerilogTestbench
+* @param kmaps {Array} The K-Maps, each one giving an output.
+* @param [name="kmap"] {String} The name of the tested module (the testbench is named after it, followed by "_tb").
+* @return {String} The Verilog code of the testbench.
+*/
+function writeVerilogTestbench(kmaps, name){
+    if (name === undefined) name = "kmap";
+    var names = kmaps[0].getHDLNames(kmaps.map(function(kmap){ return kmap.outputName; }));
+    var size = kmaps[0].Coords.length;
+    var reverse = function(text){ return text.split("").reverse().join(""); }; //Bit m of a Verilog constant is written m-th from the right.
+    //With several outputs, each one has its own expected values.
+    var suffixes = names.outputs.map(function(output){ return (kmaps.length > 1) ? "_" + output : ""; });
+    var ports = names.inputs.concat(names.outputs).map(function(n){ return "." + n + "(" + n + ")"; });
+    var code = "`timescale 1ns/1ps\n";
+    code += "module " + name + "_tb;\n";
+    code += "    reg " + names.inputs.join(", ") + ";\n";
+    code += "    wire " + names.outputs.join(", ") + ";\n";
+    for (var i=0; i<kmaps.length; i++){
+        var values = kmaps[i].writeValueString("0");
+        var care = kmaps[i].writeValueString("x").replace(/[01]/g, "1").replace(/x/g, "0");
+        code += "    reg [" + (size-1) + ":0] expected" + suffixes[i] + " = " + size + "'b" + reverse(values) + ";\n";
+        code += "    reg [" + (size-1) + ":0] care" + suffixes[i] + " = " + size + "'b" + reverse(care) + "; // 0 for \"don't care\" values\n";
+    }
+    code += "    integer m, errors;\n\n";
+    code += "    " + name + " dut (" + ports.join(", ") + ");\n\n";
+    code += "    initial begin\n";
+    code += "        errors = 0;\n";
+    code += "        for (m = 0; m < " + size + "; m = m + 1) begin\n";
+    code += "            {" + names.inputs.join(", ") + "} = m;\n";
+    code += "            #1;\n";
+    for (var o=0; o<kmaps.length; o++){
+        var output = names.outputs[o], expected = "expected" + suffixes[o] + "[m]";
+        code += "            if (care" + suffixes[o] + "[m] && " + output + " !== " + expected + ") begin\n";
+        code += "                $display(\"Error: " + output + " = %b for minterm %0d, expected %b\", " + output + ", m, " + expected + ");\n";
+        code += "                errors = errors + 1;\n";
+        code += "            end\n";
+    }
+    code += "        end\n";
+    code += "        if (errors == 0) $display(\"All tests passed.\");\n";
+    code += "        else $display(\"%0d tests failed.\", errors);\n";
+    code += "        $finish;\n";
+    code += "    end\n";
+    code += "endmodule\n";
+    return code;
+}
+
+
+/**
+* Writes a synthesizable VHDL entity computing the covers' logic functions of one or more K-Maps of the same variables
+* (the outputs of a MultiKMap) with concurrent assignments. The ports are named after the variables and the outputs (see getHDLNames).
+*
+* @method writeVHDLEntity
+* @param kmaps {Array} The K-Maps, each one giving an output, already solved.
+* @param [name="kmap"] {String} The name of the entity.
+* @return {String} The VHDL code of the entity and its architecture.
+*/
+function writeVHDLEntity(kmaps, name){
+    if (name === undefined) name = "kmap";
+    var names = kmaps[0].getHDLNames(kmaps.map(function(kmap){ return kmap.outputName; }));
+    var code = "";
+    for (var i=0; i<kmaps.length; i++) code += "-- " + kmaps[i].writeLogicFunction("text") + "\n";
+    code += "library ieee;\nuse ieee.std_logic_1164.all;\n\n";
+    code += "entity " + name + " is\n";
+    code += "    port (\n";
+    code += "        " + names.inputs.join(", ") + " : in std_logic;\n";
+    code += "        " + names.outputs.join(", ") + " : out std_logic\n";
+    code += "    );\n";
+    code += "end entity " + name + ";\n\n";
+    code += "architecture rtl of " + name + " is\n";
+    code += "begin\n";
+    for (var a=0; a<kmaps.length; a++) code += "    " + names.outputs[a] + " <= " + kmaps[a].writeHDLExpression("vhdl", names.inputs) + ";\n";
+    code += "end architecture rtl;\n";
+    return code;
+}
+
+
+/**
+* Writes a self-checking VHDL testbench for the entity of writeVHDLEntity: it applies every combination of the inputs,
+* and compares each output with the values of its K-Map, skipping the "don't care" values.
+* It reports the wrong outputs, then wether all tests passed
+* (it runs in GHDL: ghdl -a kmap.vhd kmap_tb.vhd && ghdl -e kmap_tb && ghdl -r kmap_tb).
+*
+* @method writeVHDLTestbench
+* @param kmaps {Array} The K-Maps, each one giving an output.
+* @param [name="kmap"] {String} The name of the tested entity (the testbench is named after it, followed by "_tb").
+* @return {String} The VHDL code of the testbench.
+*/
+function writeVHDLTestbench(kmaps, name){
+    if (name === undefined) name = "kmap";
+    var names = kmaps[0].getHDLNames(kmaps.map(function(kmap){ return kmap.outputName; }));
+    var nVar = kmaps[0].numVar;
+    var size = kmaps[0].Coords.length;
+    var multi = (kmaps.length > 1);
+    var signals = names.inputs.concat(names.outputs);
+    var ports = signals.map(function(n){ return n + " => " + n; });
+    var code = "library ieee;\nuse ieee.std_logic_1164.all;\nuse ieee.numeric_std.all;\n\n";
+    code += "entity " + name + "_tb is\n";
+    code += "end entity " + name + "_tb;\n\n";
+    code += "architecture test of " + name + "_tb is\n";
+    code += "    signal " + signals.join(", ") + " : std_logic;\n";
+    code += "    -- The value of each minterm, \"-\" for \"don't care\" values.\n";
+    for (var i=0; i<kmaps.length; i++){
+        code += "    constant expected" + (multi ? "_" + names.outputs[i] : "") + " : std_logic_vector(0 to " + (size-1) + ") := \"" + kmaps[i].writeValueString("-") + "\";\n";
+    }
+    code += "begin\n";
+    code += "    dut: entity work." + name + " port map (" + ports.join(", ") + ");\n\n";
+    code += "    process\n";
+    code += "        variable inputs : std_logic_vector(" + (nVar-1) + " downto 0);\n";
+    code += "        variable errors : natural := 0;\n";
+    code += "    begin\n";
+    code += "        for m in 0 to " + (size-1) + " loop\n";
+    code += "            inputs := std_logic_vector(to_unsigned(m, " + nVar + "));\n";
+    for (var k=0; k<nVar; k++) code += "            " + names.inputs[k] + " <= inputs(" + (nVar-1-k) + ");\n";
+    code += "            wait for 1 ns;\n";
+    for (var o=0; o<kmaps.length; o++){
+        var output = names.outputs[o], expected = "expected" + (multi ? "_" + output : "") + "(m)";
+        code += "            if " + expected + " /= '-' and " + output + " /= " + expected + " then\n";
+        code += "                report \"Error: wrong " + (multi ? "value of " + output : "output") + " for minterm \" & integer'image(m) severity error;\n";
+        code += "                errors := errors + 1;\n";
+        code += "            end if;\n";
+    }
+    code += "        end loop;\n";
+    code += "        if errors = 0 then\n";
+    code += "            report \"All tests passed.\";\n";
+    code += "        else\n";
+    code += "            report integer'image(errors) & \" tests failed.\" severity error;\n";
+    code += "        end if;\n";
+    code += "        wait;\n";
+    code += "    end process;\n";
+    code += "end architecture test;\n";
+    return code;
+}
+
+
+/**
+* Writes a synthesizable Verilog module computing the cover's logic function (see writeVerilogModule).
+*
+* @method toVerilog
+* @param [name="kmap"] {String} The name of the module.
+* @return {String} The Verilog code of the module.
+*/
+KMap.prototype.toVerilog = function(name){
+    this.update();
+    return writeVerilogModule([this], name);
+};
+
+
+/**
+* Writes a self-checking Verilog testbench for the module of toVerilog (see writeVerilogTestbench).
+*
+* @method toVerilogTestbench
+* @param [name="kmap"] {String} The name of the tested module.
+* @return {String} The Verilog code of the testbench.
+*/
+KMap.prototype.toVerilogTestbench = function(name){
+    return writeVerilogTestbench([this], name);
+};
+
+
+/**
+* Writes a synthesizable VHDL entity computing the cover's logic function (see writeVHDLEntity).
+*
+* @method toVHDL
+* @param [name="kmap"] {String} The name of the entity.
+* @return {String} The VHDL code of the entity and its architecture.
+*/
+KMap.prototype.toVHDL = function(name){
+    this.update();
+    return writeVHDLEntity([this], name);
+};
+
+
+/**
+* Writes a self-checking VHDL testbench for the entity of toVHDL (see writeVHDLTestbench).
+*
+* @method toVHDLTestbench
+* @param [name="kmap"] {String} The name of the tested entity.
+* @return {String} The VHDL code of the testbench.
+*/
+KMap.prototype.toVHDLTestbench = function(name){
+    return writeVHDLTestbench([this], name);
+};
+
+
+/**
+* Writes a synthesizable Verilog module with an output for each function, computing their joint covers (see writeVerilogModule).
+*
+* @method toVerilog
+* @param [name="kmap"] {String} The name of the module.
+* @return {String} The Verilog code of the module.
+*/
+MultiKMap.prototype.toVerilog = function(name){
+    this.update();
+    return writeVerilogModule(this.maps, name);
+};
+
+
+/**
+* Writes a self-checking Verilog testbench checking every output of the module of toVerilog (see writeVerilogTestbench).
+*
+* @method toVerilogTestbench
+* @param [name="kmap"] {String} The name of the tested module.
+* @return {String} The Verilog code of the testbench.
+*/
+MultiKMap.prototype.toVerilogTestbench = function(name){
+    return writeVerilogTestbench(this.maps, name);
+};
+
+
+/**
+* Writes a synthesizable VHDL entity with an output for each function, computing their joint covers (see writeVHDLEntity).
+*
+* @method toVHDL
+* @param [name="kmap"] {String} The name of the entity.
+* @return {String} The VHDL code of the entity and its architecture.
+*/
+MultiKMap.prototype.toVHDL = function(name){
+    this.update();
+    return writeVHDLEntity(this.maps, name);
+};
+
+
+/**
+* Writes a self-checking VHDL testbench checking every output of the entity of toVHDL (see writeVHDLTestbench).
+*
+* @method toVHDLTestbench
+* @param [name="kmap"] {String} The name of the tested entity.
+* @return {String} The VHDL code of the testbench.
+*/
+MultiKMap.prototype.toVHDLTestbench = function(name){
+    return writeVHDLTestbench(this.maps, name);
+};
+
+
+//----------------------------------------------------------------------------------
+//--------------------FUNCTIONS FOR DRAWING THE LOGIC CIRCUIT-----------------------
+//----------------------------------------------------------------------------------
+
+
+/**
+* Builds a two-level gate realization of the K-Map's function from a minimal cover: "and-or" and "nand-nand" use the sum of products,
+* "nor-nor" uses the product of sums (whatever the form chosen for the solution, the cover of the needed form is calculated).
+* Terms of a single literal need no gate: in a NAND-NAND or NOR-NOR circuit, their complement goes straight into the output gate.
+* The costs count the gates (without the input inverters, counted apart), their inputs, and the literals of the function.
+*
+* @method getCircuit
+* @param type {String} The realization: "and-or", "nand-nand" or "nor-nor".
+* @return {Object} The circuit {type, constant, terms, cubes, hasOutputGate, costs}: the value of the function if it is constant (else null),
+* the terms as arrays of literals {variable, inverted} (as wired, complemented for single literals into a NAND or NOR output gate),
+* the n-cube of each term, wether there is an output gate, and the costs {gates, inverters, gateInputs, literals}.
+*/
+KMap.prototype.getCircuit = function(type){
+    var pos = (type == "nor-nor");
+    var kmap = this;
+    if (this.solutionForm != (pos ? "POS" : "SOP")){
+        kmap = this.clone();
+        kmap.setForm(pos ? "POS" : "SOP");
+    }
+    kmap.update();
+    var circuit = {type: type, constant: null, terms: [], cubes: kmap.nCubeList, hasOutputGate: false,
+                   costs: {gates: 0, inverters: 0, gateInputs: 0, literals: 0}};
+    if (kmap.nCubeList.length === 0){ circuit.constant = pos ? 1 : 0; return circuit; } //Case where no spaces are covered.
+    for (var i=0; i<kmap.nCubeList.length; i++){
+        var logic = kmap.getCubeLogic(kmap.nCubeList[i]);
+        var literals = [];
+        for (var k=0; k<logic.length; k++){
+            if (logic[k] !== 2) literals.push({variable: k, inverted: (logic[k] === (pos ? 1 : 0))});
+        }
+        if (literals.length === 0){ circuit.constant = pos ? 0 : 1; circuit.terms = []; return circuit; } //Case where the n-cube is the whole map.
+        circuit.terms.push(literals);
+        circuit.costs.literals += literals.length;
+    }
+    var n = circuit.terms.length;
+    circuit.hasOutputGate = (n > 1 || (type != "and-or" && circuit.terms[0].length > 1));
+    var inverted = [];
+    for (var t=0; t<n; t++){
+        var term = circuit.terms[t];
+        if (term.length > 1){ circuit.costs.gates++; circuit.costs.gateInputs += term.length; }
+        else if (circuit.hasOutputGate && type != "and-or") term[0] = {variable: term[0].variable, inverted: !term[0].inverted};
+        for (var l=0; l<term.length; l++){
+            if (term[l].inverted && inverted.indexOf(term[l].variable) == -1) inverted.push(term[l].variable);
+        }
+    }
+    if (circuit.hasOutputGate){ circuit.costs.gates++; circuit.costs.gateInputs += n; }
+    circuit.costs.inverters = inverted.length;
+    return circuit;
+};
+
+
+/**
+* Writes the SVG code of a logic gate, facing right, with its top left corner at the given point.
+* The AND and NAND gates are 40 pixels long, the OR and NOR gates 45, and the bubble of the inverting gates adds 8 pixels.
+*
+* @method writeGateSVG
+* @param kind {String} "AND", "OR", "NAND" or "NOR".
+* @param x {Number} The left side of the gate.
+* @param y {Number} The top side of the gate.
+* @param height {Number} The height of the gate.
+* @return {String} The SVG code of the gate.
+*/
+function writeGateSVG(kind, x, y, height){
+    var svg, front;
+    if (kind == "AND" || kind == "NAND"){
+        svg = "<path d=\"M" + x + "," + y + " H" + (x+20) + " A20," + (height/2) + " 0 0 1 " + (x+20) + "," + (y+height) + " H" + x + " Z\"";
+        front = x + 40;
+    }else{
+        svg = "<path d=\"M" + x + "," + y + " Q" + (x+15) + "," + (y+height/2) + " " + x + "," + (y+height);
+        svg += " Q" + (x+30) + "," + (y+height) + " " + (x+45) + "," + (y+height/2) + " Q" + (x+30) + "," + y + " " + x + "," + y + " Z\"";
+        front = x + 45;
+    }
+    svg += " fill=\"white\" stroke=\"black\" stroke-width=\"2\"/>";
+    if (kind == "NAND" || kind == "NOR") svg += "<circle cx=\"" + (front+4) + "\" cy=\"" + (y+height/2) + "\" r=\"4\" fill=\"white\" stroke=\"black\" stroke-width=\"2\"/>";
+    return svg;
+}
+
+
+/**
+* Returns where an input wire ends on the left side of a gate: the back of the OR and NOR gates is curved.
+*
+* @method getGateInputX
+* @param kind {String} "AND", "OR", "NAND" or "NOR".
+* @param x {Number} The left side of the gate.
+* @param t {Number} The height of the input, as a fraction of the height of the gate.
+* @return {Number} The horizontal position of the end of the wire.
+*/
+function getGateInputX(kind, x, t){
+    return (kind == "AND" || kind == "NAND") ? x : x + 30*t*(1-t);
+}
+
+
+/**
+* Draws a two-level gate realization of the K-Map's function (see getCircuit) as an SVG schematic:
+* a vertical line for each input and for the complement of the inputs that need one (through an inverter),
+* a gate for each term, and the output gate.
+* On the page, hovering a gate of a term highlights its n-cube on the K-Map (the n-cubes are taken from circuitCubes).
+*
+* @method toCircuitSVG
+* @param type {String} The realization: "and-or", "nand-nand" or "nor-nor".
+* @param [interactive=false] {Boolean} Wether to highlight the n-cubes when hovering the gates, on the page.
+* @return {String} The SVG code of the schematic.
+*/
+KMap.prototype.toCircuitSVG = function(type, interactive){
+    var circuit = this.getCircuit(type);
+    var pos = (type == "nor-nor");
+    var termKind = {"and-or": "AND", "nand-nand": "NAND", "nor-nor": "NOR"}[type];
+    var outKind = {"and-or": "OR", "nand-nand": "NAND", "nor-nor": "NOR"}[type];
+    var gateLength = function(kind){ return ((kind == "AND" || kind == "NAND") ? 40 : 45) + ((kind == "AND" || kind == "OR") ? 0 : 8); };
+    var line = function(x1, y1, x2, y2){ return "<line x1=\"" + x1 + "\" y1=\"" + y1 + "\" x2=\"" + x2 + "\" y2=\"" + y2 + "\" stroke=\"black\"/>"; };
+    var dot = function(x, y){ return "<circle cx=\"" + x + "\" cy=\"" + y + "\" r=\"2.5\"/>"; };
+    var head = function(width, height){
+        var text = "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height + "\" viewBox=\"0 0 " + width + " " + height + "\"";
+        return text + " font-family=\"Helvetica, Arial, sans-serif\" font-size=\"14\">\n<rect width=\"" + width + "\" height=\"" + height + "\" fill=\"white\"/>\n";
+    };
+    var output = escapeHTML(this.outputName);
+    if (circuit.constant !== null){
+        return head(120, 40) + "<text x=\"10\" y=\"25\">" + output + " = " + circuit.constant + "</text>\n</svg>\n";
+    }
+
+    //Input lines: the true line of each variable used, and its complement when needed.
+    var used = [], complemented = [];
+    for (var t=0; t<circuit.terms.length; t++){
+    for (var l=0; l<circuit.terms[t].length; l++){
+        var lit = circuit.terms[t][l];
+        if (used.indexOf(lit.variable) == -1) used.push(lit.variable);
+        if (lit.inverted && complemented.indexOf(lit.variable) == -1) complemented.push(lit.variable);
+    }}
+    used.sort(function(x, y){ return x - y; });
+    var railX = {}, x = 20;
+    for (var u=0; u<used.length; u++){
+        railX[used[u] + "+"] = x; x += 26;
+        if (complemented.indexOf(used[u]) != -1){ railX[used[u] + "-"] = x; x += 26; }
+        x += 8;
+    }
+
+    //Gates of the terms, stacked from top to bottom.
+    var gateX = x + 40;
+    var termLength = gateLength(termKind);
+    var outputs = [], y = 90, svg = "";
+    for (t=0; t<circuit.terms.length; t++){
+        var term = circuit.terms[t];
+        var hover = interactive ? " onMouseOver=\"setColor(circuitCubes[" + t + "],selectColor);\" onMouseOut=\"setColor(circuitCubes[" + t + "],normalColor);\"" : "";
+        var label = "<title>" + escapeHTML(this.getCircuitTermText(circuit, t)) + "</title>";
+        var rail = function(lit){ return railX[lit.variable + (lit.inverted ? "-" : "+")]; };
+        if (term.length == 1){
+            //A single literal is wired straight to the output gate.
+            //The wide transparent copy of the wire makes it easier to hover.
+            var wire = "x1=\"" + rail(term[0]) + "\" y1=\"" + (y+10) + "\" x2=\"" + (gateX + termLength) + "\" y2=\"" + (y+10) + "\"";
+            svg += "<g" + hover + ">" + label + "<line " + wire + " stroke=\"black\"/><line " + wire + " stroke=\"transparent\" stroke-width=\"10\"/></g>";
+            svg += dot(rail(term[0]), y+10) + "\n";
+            outputs.push(y+10);
+            y += 30;
+            continue;
+        }
+        var height = Math.max(30, 14*term.length);
+        for (l=0; l<term.length; l++){
+            var inY = y + (l+1)*height/(term.length+1);
+            svg += line(rail(term[l]), inY, getGateInputX(termKind, gateX, (l+1)/(term.length+1)), inY) + dot(rail(term[l]), inY);
+        }
+        svg += "<g" + hover + (interactive ? " style=\"cursor:pointer\"" : "") + ">" + label + writeGateSVG(termKind, gateX, y, height) + "</g>\n";
+        outputs.push(y + height/2);
+        y += height + 15;
+    }
+    var bottom = y;
+
+    //Output gate, with a wire from each term.
+    var endX = gateX + termLength;
+    var outY = outputs[0];
+    if (circuit.hasOutputGate){
+        var n = outputs.length;
+        var outHeight = Math.max(30, 14*n);
+        var outTop = (outputs[0] + outputs[n-1])/2 - outHeight/2;
+        var outX = endX + 30 + 8*n;
+        for (var o=0; o<n; o++){
+            var toY = outTop + (o+1)*outHeight/(n+1);
+            var elbow = endX + 15 + 8*o;
+            svg += line(endX, outputs[o], elbow, outputs[o]) + line(elbow, outputs[o], elbow, toY);
+            svg += line(elbow, toY, getGateInputX(outKind, outX, (o+1)/(n+1)), toY) + "\n";
+        }
+        svg += writeGateSVG(outKind, outX, outTop, outHeight) + "\n";
+        endX = outX + gateLength(outKind);
+        outY = outTop + outHeight/2;
+        bottom = Math.max(bottom, outTop + outHeight + 15);
+    }
+    svg += line(endX, outY, endX + 30, outY) + "<text x=\"" + (endX + 35) + "\" y=\"" + (outY + 5) + "\">" + output + "</text>\n";
+
+    //Input lines and inverters, drawn over the whole height of the circuit.
+    var rails = "";
+    for (u=0; u<used.length; u++){
+        var tx = railX[used[u] + "+"];
+        rails += "<text x=\"" + tx + "\" y=\"20\" text-anchor=\"middle\">" + escapeHTML(this.varNames[used[u]]) + "</text>";
+        rails += line(tx, 28, tx, bottom) + "\n";
+        if (complemented.indexOf(used[u]) == -1) continue;
+        var cx = railX[used[u] + "-"];
+        rails += line(tx, 40, cx, 40) + dot(tx, 40) + line(cx, 40, cx, 46);
+        rails += "<path d=\"M" + (cx-7) + ",46 H" + (cx+7) + " L" + cx + ",60 Z\" fill=\"white\" stroke=\"black\" stroke-width=\"2\"/>";
+        rails += "<circle cx=\"" + cx + "\" cy=\"64\" r=\"4\" fill=\"white\" stroke=\"black\" stroke-width=\"2\"/>" + line(cx, 68, cx, bottom) + "\n";
+    }
+    return head(endX + 60, bottom + 10) + rails + svg + "</svg>\n";
+};
+
+
+/**
+* Writes a term of a circuit (see getCircuit) as plain text, as it is wired: a product of literals, or a sum for a NOR-NOR circuit.
+*
+* @method getCircuitTermText
+* @param circuit {Object} The circuit.
+* @param index {Integer} The place of the term in the circuit.
+* @return {String} The term, such as "A'BD" or "(A + C')".
+*/
+KMap.prototype.getCircuitTermText = function(circuit, index){
+    var self = this;
+    var literals = circuit.terms[index].map(function(lit){ return self.varNames[lit.variable] + (lit.inverted ? "'" : ""); });
+    var short = this.varNames.slice(0, this.numVar).every(function(name){ return name.length == 1; });
+    return (circuit.type == "nor-nor") ? "(" + literals.join(" + ") + ")" : literals.join(short ? "" : " ");
+};
+
+
+//----------------------------------------------------------------------------------
+//------------------------------PAGE AND MODULE SETUP-------------------------------
+//----------------------------------------------------------------------------------
+
+/**
+ * The K-Map displayed and edited on the page.
+ *
+ * @property currentKMap
+ * @type {KMap}
+ */
+var currentKMap = new KMap(4, false);
+/**
+ * The working collection of exercises: the exercises last generated on the page (see generateExerciseList),
+ * the ones opened from a file (see openJSONFile) or added one by one (see addToCollection).
+ *
+ * @property exerciseList
+ * @type {Array}
+ * @default []
+ */
+var exerciseList = [];
+/**
+ * Wether the page is in practice mode (see switchPracticeMode).
+ *
+ * @property practiceMode
+ * @type {Boolean}
+ * @default false
+ */
+var practiceMode = false;
+/**
+ * The minterms of the spaces selected for the group being drawn in practice mode.
+ *
+ * @property practiceSelection
+ * @type {Array}
+ * @default []
+ */
+var practiceSelection = [];
+/**
+ * The groups drawn in practice mode, each one as an array of minterms.
+ *
+ * @property practiceGroups
+ * @type {Array}
+ * @default []
+ */
+var practiceGroups = [];
+/**
+ * The HTML code of the feedback last given in practice mode.
+ *
+ * @property practiceFeedback
+ * @type {String}
+ * @default ""
+ */
+var practiceFeedback = "";
+/**
+ * The answer typed in practice mode, written back in its text field each time the practice HTML is drawn again.
+ *
+ * @property practiceAnswer
+ * @type {String}
+ * @default ""
+ */
+var practiceAnswer = "";
+/**
+ * Wether the panel of prime implicants and minimal covers is open (see generatePrimesHTML).
+ *
+ * @property primesPanelOpen
+ * @type {Boolean}
+ * @default false
+ */
+var primesPanelOpen = false;
+/**
+ * Wether each n-cube of the cover is outlined on the grid in its own color (see drawOverlay).
+ *
+ * @property overlayMode
+ * @type {Boolean}
+ * @default false
+ */
+var overlayMode = false;
+/**
+ * Wether the panel of the logic circuit is open (see generateCircuitHTML).
+ *
+ * @property circuitPanelOpen
+ * @type {Boolean}
+ * @default false
+ */
+var circuitPanelOpen = false;
+/**
+ * The realization of the logic circuit drawn on the page: "and-or", "nand-nand" or "nor-nor".
+ *
+ * @property circuitType
+ * @type {String}
+ * @default "and-or"
+ */
+var circuitType = "and-or";
+/**
+ * The n-cubes of the terms of the logic circuit drawn on the page, lit up when hovering its gates.
+ *
+ * @property circuitCubes
+ * @type {Array}
+ * @default []
+ */
+var circuitCubes = [];
+/**
+ * Wether the page shows the step-by-step walkthrough of the solving algorithm (see switchStepsMode).
+ *
+ * @property stepsMode
+ * @type {Boolean}
+ * @default false
+ */
+var stepsMode = false;
+/**
+ * The steps of the walkthrough, recorded for the page's K-Map (see getEspressoSteps).
+ *
+ * @property solverSteps
+ * @type {Array}
+ * @default []
+ */
+var solverSteps = [];
+/**
+ * The place of the step shown in the walkthrough.
+ *
+ * @property stepIndex
+ * @type {Integer}
+ * @default 0
+ */
+var stepIndex = 0;
+/**
+ * The outputs minimized together in the multi-output mode (see switchMultiOutput), or null outside of that mode.
+ * The page's K-Map (currentKMap) is then the K-Map of the output being edited.
+ *
+ * @property multiKMap
+ * @type {MultiKMap}
+ * @default null
+ */
+var multiKMap = null;
+/**
+ * The place, in the outputs of multiKMap, of the output being edited.
+ *
+ * @property outputIndex
+ * @type {Integer}
+ * @default 0
+ */
+var outputIndex = 0;
+/**
+ * The states of the page's K-Map before its last edits (see recordEdit), the last one at the end, as written by toJSON.
+ *
+ * @property undoHistory
+ * @type {Array}
+ * @default []
+ */
+var undoHistory = [];
+/**
+ * The states of the page's K-Map that were undone, the last one undone at the end, until a new edit is made.
+ *
+ * @property redoHistory
+ * @type {Array}
+ * @default []
+ */
+var redoHistory = [];
+/**
+ * The value given to the spaces of the grid that are clicked or painted over (see startPaint),
+ * or null when a click switches the value of a space to the next one.
+ *
+ * @property paintValue
+ * @type {Integer}
+ * @default null
+ */
+var paintValue = null;
+/**
+ * Wether spaces are being painted, from the press of the mouse button on a space of the grid to its release.
+ *
+ * @property painting
+ * @type {Boolean}
+ * @default false
+ */
+var painting = false;
+/**
+ * The minterm of the space of the grid that has, or last had, the keyboard's focus. It is the one reached with the Tab key.
+ *
+ * @property focusedMinterm
+ * @type {Integer}
+ * @default 0
+ */
+var focusedMinterm = 0;
+/**
+ * The expressions checked for equivalence on the page: the first one, and the second one, or null to compare the first one with the K-Map (see checkEquivalence).
+ * It is null when no check is shown.
+ *
+ * @property equivalenceTexts
+ * @type {Array}
+ * @default null
+ */
+var equivalenceTexts = null;
+/**
+ * The minterms where the functions checked for equivalence differ, highlighted on the grid (see colorDifferences).
+ *
+ * @property equivalenceDifferences
+ * @type {Array}
+ * @default []
+ */
+var equivalenceDifferences = [];
+
+//When loaded as a CommonJS module (Node), the KMap class and the stateless helpers are exported (KMapGenerator.mjs exports the same names as an ES module).
+if (typeof module !== "undefined" && module.exports){
+    module.exports = {
+        KMap: KMap,
+        MultiKMap: MultiKMap,
+        varNames: varNames,
+        toBinString: toBinString,
+        implicantCovers: implicantCovers,
+        implicantLiterals: implicantLiterals,
+        QMPrimeImplicants: QMPrimeImplicants,
+        PetrickCovers: PetrickCovers,
+        getImplicantsCost: getImplicantsCost,
+        compareCosts: compareCosts,
+        parseMintermList: parseMintermList,
+        parseExpression: parseExpression,
+        findEssentialPrimes: findEssentialPrimes,
+        expressionToImplicants: expressionToImplicants,
+        createRandom: createRandom,
+        generateExercises: generateExercises,
+        evaluateExpression: evaluateExpression,
+        writeDocHeader: writeDocHeader,
+        writeExerciseSheet: writeExerciseSheet,
+        writeAnswerKey: writeAnswerKey,
+        writeMapFile: writeMapFile,
+        writeCollectionFile: writeCollectionFile,
+        readJSONFile: readJSONFile
+    };
 }
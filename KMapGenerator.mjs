@@ -0,0 +1,19 @@
+/**
+ * ES module entry point of the Karnaugh Map Generator, for Node scripts using import rather than require:
+ *
+ *     import { KMap, PetrickCovers } from "./KMapGenerator.mjs";
+ *
+ * It exports the same KMap class and helpers as KMapGenerator.js, which stays a plain script for the page.
+ *
+ * @module KMapGenerator
+ */
+
+import KMapGenerator from "./KMapGenerator.js";
+
+export const {
+    KMap, MultiKMap, varNames, toBinString, implicantCovers, implicantLiterals, QMPrimeImplicants, PetrickCovers,
+    getImplicantsCost, compareCosts, parseMintermList, parseExpression, findEssentialPrimes, expressionToImplicants,
+    createRandom, generateExercises, evaluateExpression, writeDocHeader, writeExerciseSheet, writeAnswerKey,
+    writeMapFile, writeCollectionFile, readJSONFile
+} = KMapGenerator;
+export default KMapGenerator;
@@ -0,0 +1,142 @@
+/**
+ * Tests of the Karnaugh Map Generator's API, run with Node's test runner:
+ *
+ *     node --test
+ */
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var KMapGenerator = require("../KMapGenerator.js");
+var KMap = KMapGenerator.KMap;
+
+/**
+ * Builds a K-Map from a list of values in minterm order (0, 1 or 2 for "don't care").
+ */
+function makeKMap(values, dontCare){
+    var kmap = new KMap(Math.round(Math.log2(values.length)), dontCare);
+    values.forEach(function(value, m){ kmap.set(m, value); });
+    return kmap;
+}
+
+/**
+ * Tells wether a cover (a list of n-cubes) covers exactly the target values of the K-Map, "don't care" values being free.
+ */
+function coversTargets(kmap, nCubes){
+    var target = kmap.getTargetValue();
+    var covered = {};
+    nCubes.forEach(function(nCube){
+        nCube.forEach(function(space){ covered[kmap.Map[space[2]][space[0]][space[1]].Minterm] = true; });
+    });
+    for (var m=0; m<kmap.Coords.length; m++){
+        if (kmap.get(m) === target && !covered[m]) return false;
+        if (kmap.get(m) === 1 - target && covered[m]) return false;
+    }
+    return true;
+}
+
+test("solve covers the 1 values, or the 0 values for a product of sums", function(){
+    var kmap = makeKMap([1,0,1,0, 0,1,0,1, 0,0,0,0, 0,0,0,2], true);
+    assert.equal(kmap.toFunctionString(), "F(A,B,C,D) = A'BD + A'B'D'");
+    kmap.setForm("POS");
+    assert.ok(coversTargets(kmap, kmap.solve()));
+    assert.equal(kmap.toFunctionString(), "F(A,B,C,D) = (A')(B + D')(B' + D)");
+});
+
+test("the exact engine finds covers of minimal cost", function(){
+    //A cyclic function, where pseudo-ESPRESSO keeps a redundant group.
+    var kmap = makeKMap([0,1,0,1, 1,1,1,0]);
+    kmap.setEngine("exact");
+    kmap.solve();
+    assert.ok(coversTargets(kmap, kmap.nCubeList));
+    assert.deepEqual(kmap.engineCosts.exact, {terms: 3, literals: 6});
+    assert.ok(kmap.coversMinimal);
+    assert.equal(kmap.minimalCovers.length, 2);
+    assert.throws(function(){ kmap.setEngine("fast"); }, RangeError);
+    assert.throws(function(){ kmap.setForm("pos"); }, RangeError);
+});
+
+test("the exact method is only used when asked for", function(){
+    var kmap = makeKMap([1,1,0,1, 0,1,1,1]);
+    kmap.solve();
+    assert.equal(kmap.exactSolved, false);
+    assert.equal(kmap.engineCosts.exact, null);
+    kmap.updateExact();
+    assert.ok(kmap.exactSolved);
+    assert.deepEqual(kmap.engineCosts.exact, {terms: 3, literals: 5});
+});
+
+test("8-variable K-Maps are solved by both engines", function(){
+    var seed = 7;
+    var values = [];
+    for (var m=0; m<256; m++){
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        values.push([1, 2, 0][Math.floor(3 * seed / 2147483648)]);
+    }
+    var kmap = makeKMap(values, true);
+    assert.ok(coversTargets(kmap, kmap.solve()));
+    kmap.setEngine("exact");
+    assert.ok(coversTargets(kmap, kmap.solve()));
+    assert.ok(kmap.engineCosts.exact.terms <= kmap.engineCosts.espresso.terms);
+});
+
+test("minterm lists are read and written", function(){
+    var kmap = new KMap(4);
+    kmap.setMintermList("F(A,B,C,D) = Σm(0,2,5,7,13) + d(1,15)");
+    assert.equal(kmap.getMintermList("SOP"), "F(A,B,C,D) = Σm(0,2,5,7,13) + d(1,15)");
+    assert.equal(kmap.getMintermList("POS"), "F(A,B,C,D) = ΠM(3,4,6,8,9,10,11,12,14) · d(1,15)");
+    kmap.setMintermList("Q(X,Y,Z) = ΠM(0,7)");
+    assert.equal(kmap.numVar, 3);
+    assert.equal(kmap.getMintermList("SOP"), "Q(X,Y,Z) = Σm(1,2,3,4,5,6)");
+    assert.throws(function(){ kmap.setMintermList("F(A,B,C,D,E,F) = Σm(1)"); }, RangeError);
+});
+
+test("parseExpression reads the usual notations", function(){
+    var names = KMapGenerator.varNames;
+    var parsed = KMapGenerator.parseExpression("F(A,B,C,D) = A'B + C(D xor A)", names);
+    assert.equal(parsed.headerVars, 4);
+    assert.equal(parsed.highestVar, 3);
+    ["A'B + C", "!A & B | C", "\\overline{A}B + C", "(A' + C)(B + C)"].forEach(function(text){
+        var kmap = new KMap(3);
+        kmap.setExpression(text);
+        assert.equal(kmap.toFunctionString(), "F(A,B,C) = A'B + C", text);
+    });
+    assert.throws(function(){ KMapGenerator.parseExpression("A + (B", names); }, SyntaxError);
+});
+
+test("compareExpression finds the minterms where the functions differ", function(){
+    var kmap = new KMap(3);
+    kmap.setExpression("A'B + C");
+    assert.ok(kmap.compareExpression("C + BA'").equivalent);
+    var result = kmap.compareExpression("A'B");
+    assert.equal(result.equivalent, false);
+    assert.equal(result.numVar, 3);
+    assert.deepEqual(result.differences.map(function(d){ return d.minterm; }), [1, 5, 7]);
+    assert.ok(kmap.compareExpression("A + B", "B + A").equivalent);
+    assert.equal(kmap.compareExpression("E", "E + A'A").numVar, 5);
+});
+
+test("the URL hash holds the whole state of the K-Map", function(){
+    var kmap = makeKMap([1,2,0,1, 0,0,1,1, 2,0,0,0, 1,1,0,1, 0,0,0,0, 0,1,0,0, 0,0,0,0, 0,0,0,1], true);
+    kmap.setVarNames(["Q1", "Q0", "In", "X", "Y"]);
+    kmap.setOutputName("Next");
+    var copy = new KMap(2);
+    copy.setURLHash(kmap.toURLHash());
+    assert.equal(copy.numVar, 5);
+    assert.equal(copy.toURLHash(), kmap.toURLHash());
+    assert.equal(copy.toFunctionString(), kmap.toFunctionString());
+    assert.throws(function(){ copy.setURLHash("v=4&dc=0&m=A"); });
+});
+
+test("readJSONFile reads the K-Maps and collections written by the page", function(){
+    var kmap = makeKMap([1,0,2,1, 0,1,1,0], true);
+    kmap.title = "Exercise 1";
+    var file = KMapGenerator.readJSONFile(KMapGenerator.writeMapFile(kmap));
+    assert.equal(file.collection, false);
+    assert.equal(file.maps[0].title, "Exercise 1");
+    assert.deepEqual(file.maps[0].toJSON(), kmap.toJSON());
+    var collection = KMapGenerator.readJSONFile(KMapGenerator.writeCollectionFile([kmap, new KMap(4)], {title: "Worksheet"}));
+    assert.equal(collection.collection, true);
+    assert.equal(collection.maps.length, 2);
+    assert.throws(function(){ KMapGenerator.readJSONFile("{\"format\": \"kmap\", \"version\": 2}"); }, RangeError);
+    assert.throws(function(){ KMapGenerator.readJSONFile("not JSON"); }, /not valid JSON/);
+});